@@ -0,0 +1,219 @@
+import crypto from 'crypto';
+import { requestChannelPoll } from './channels.js';
+
+const stringList = items => ({ type: 'array', items: { type: 'string', ...items }, maxItems: 1000 });
+
+// IDs and uris are checked before they reach the frontier, the crawler can't request anything else
+const videoIdList = stringList({ pattern: '^[A-Za-z0-9_-]{11}$' });
+const channelIdList = stringList({ pattern: '^UC[A-Za-z0-9_-]{22}$' });
+const playlistIdList = stringList({ pattern: '^[A-Za-z0-9_-]{10,64}$' });
+const uriList = stringList({ pattern: '^https?://[^\\s/?#]+[^\\s]*$' });
+const queryList = stringList({ minLength: 1 });
+
+const sourceParamsSchema = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string' },
+  },
+};
+
+// Compares tokens in constant time so the token can't be guessed byte by byte
+function isValidToken(token, expected) {
+  const tokenBuffer = Buffer.from(token || '');
+  const expectedBuffer = Buffer.from(expected);
+  return tokenBuffer.length === expectedBuffer.length && crypto.timingSafeEqual(tokenBuffer, expectedBuffer);
+}
+
+// Changes the crawler's concurrency and rate limit while it is running
+function setCrawlerLimits(crawler, { maxConnections, rateLimit }) {
+  const limiter = crawler.limiters.key('default');
+  if (rateLimit !== undefined) {
+    crawler.setLimiterProperty('default', 'rateLimit', rateLimit);
+    crawler.limiters.rateLimit = rateLimit;
+  }
+
+  // Rate limited crawlers only ever use one connection
+  const connections = limiter.rateLimit > 0 ? 1 : maxConnections;
+  if (connections !== undefined) {
+    limiter.maxConcurrent = connections;
+    crawler.limiters.maxConcurrent = connections;
+  }
+
+  limiter._tryToRun();
+  return {
+    maxConnections: limiter.maxConcurrent,
+    rateLimit: limiter.rateLimit,
+  };
+}
+
+// Hook that answers 401 to requests without an "Authorization: Bearer <token>" header
+export function requireToken(token) {
+  return async (request, reply) => {
+    const [scheme, requestToken] = (request.headers.authorization || '').split(' ');
+    if (scheme !== 'Bearer' || !isValidToken(requestToken, token)) {
+      reply.code(401).send({ error: 'Unauthorized' });
+      return reply;
+    }
+  };
+}
+
+// Admin routes to control crawling at runtime, every request needs
+// an "Authorization: Bearer <ADMIN_TOKEN>" header
+export async function adminRoutes(fastify, options) {
+  const {
+    token,
+    scheduler,
+    crawler,
+    queries,
+    channelsCollection,
+    crawlVideo,
+    crawlPlaylistIds,
+    recrawlURI,
+    drainQueue,
+  } = options;
+
+  fastify.addHook('onRequest', requireToken(token));
+
+  // Discovery sources
+  fastify.get('/sources', async () => scheduler.stats());
+
+  const sourceActions = {
+    pause: name => scheduler.pause(name),
+    resume: name => scheduler.resume(name),
+    enable: name => scheduler.enable(name),
+    disable: name => scheduler.disable(name),
+  };
+  Object.keys(sourceActions).forEach(action => {
+    fastify.post(`/sources/:name/${action}`, {
+      schema: { params: sourceParamsSchema },
+    }, async (request, reply) => {
+      try {
+        await sourceActions[action](request.params.name);
+      } catch (e) {
+        reply.code(404).send({ error: e.message });
+        return;
+      }
+      return scheduler.stats()[request.params.name];
+    });
+  });
+
+  fastify.put('/sources/:name/weight', {
+    schema: {
+      params: sourceParamsSchema,
+      body: {
+        type: 'object',
+        required: ['weight'],
+        properties: {
+          weight: { type: 'number', minimum: 0 },
+        },
+      },
+    },
+  }, async (request, reply) => {
+    try {
+      scheduler.setWeight(request.params.name, request.body.weight);
+    } catch (e) {
+      reply.code(404).send({ error: e.message });
+      return;
+    }
+    return scheduler.stats()[request.params.name];
+  });
+
+  // Seeds are crawled straight away, queries are searched by the youtube-search source on its next tick
+  fastify.post('/seeds', {
+    schema: {
+      body: {
+        type: 'object',
+        properties: {
+          videoIds: videoIdList,
+          channelIds: channelIdList,
+          playlistIds: playlistIdList,
+          queries: queryList,
+        },
+      },
+    },
+  }, async (request, reply) => {
+    const { videoIds = [], channelIds = [], playlistIds = [], queries: seedQueries = [] } = request.body;
+    if (channelIds.length > 0 && !channelsCollection) {
+      reply.code(400).send({ error: 'Channels need the mongodb store' });
+      return;
+    }
+
+    let videosAdded = 0;
+    for (let i = 0; i < videoIds.length; i++) {
+      if (await crawlVideo(videoIds[i], 0, 'admin')) {
+        videosAdded++;
+      }
+    }
+
+    for (let i = 0; i < channelIds.length; i++) {
+      await requestChannelPoll(channelsCollection, channelIds[i]);
+    }
+
+    await crawlPlaylistIds(playlistIds, 'admin');
+
+    for (let i = 0; i < seedQueries.length; i++) {
+      await queries.add(seedQueries[i], true);
+    }
+
+    return {
+      videosAdded,
+      channelsScheduled: channelIds.length,
+      playlistsSubmitted: playlistIds.length,
+      queriesQueued: seedQueries.length,
+    };
+  });
+
+  // Crawler concurrency and rate limit
+  fastify.put('/crawler', {
+    schema: {
+      body: {
+        type: 'object',
+        properties: {
+          maxConnections: { type: 'integer', minimum: 1 },
+          rateLimit: { type: 'integer', minimum: 0 },
+        },
+      },
+    },
+  }, async (request) => setCrawlerLimits(crawler, request.body));
+
+  // Empties the crawler que. Drained uris go back to the frontier to be crawled later
+  // unless requeue is false, in which case they are dropped
+  fastify.post('/crawler/drain', async (request) => {
+    const requeue = !request.body || request.body.requeue !== false; // The body is optional
+    const queueSize = crawler.queueSize;
+    drainQueue(requeue);
+    return {
+      draining: queueSize,
+      requeue,
+    };
+  });
+
+  // Crawls uris again even if they were crawled before. Video IDs recrawl their watch pages
+  fastify.post('/recrawl', {
+    schema: {
+      body: {
+        type: 'object',
+        properties: {
+          uris: uriList,
+          videoIds: videoIdList,
+        },
+      },
+    },
+  }, async (request) => {
+    const { uris = [], videoIds = [] } = request.body;
+    const allUris = [...uris, ...videoIds.map(videoId => `https://www.youtube.com/watch?v=${videoId}`)];
+
+    let queued = 0;
+    for (let i = 0; i < allUris.length; i++) {
+      if (await recrawlURI(allUris[i])) {
+        queued++;
+      }
+    }
+
+    return {
+      queued,
+      alreadyQueued: allUris.length - queued,
+    };
+  });
+}
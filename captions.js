@@ -0,0 +1,136 @@
+import { URL } from 'url';
+import { httpRequest } from './http.js';
+import { buildMatch, buildPageStages, aggregatePage } from './search.js';
+import { analyze, analyzeQuery, supportedLanguage } from './text.js';
+
+// How many caption tracks of a video to fetch, manual tracks go before automatic ones
+const CAPTIONS_MAX_TRACKS = parseInt(process.env.CAPTIONS_MAX_TRACKS || 2, 10);
+
+// Most transcript hits returned per video by a search
+const MAX_TRANSCRIPT_HITS = 5;
+
+function videoIdFromUri(videoUri) {
+  return new URL(videoUri).searchParams.get('v');
+}
+
+export async function ensureCaptionIndices(captionsCollection) {
+  await captionsCollection.createIndex({ uri: 1, languageCode: 1, kind: 1 }, { unique: true });
+  await captionsCollection.createIndex({ fuzzyWords: 'text' }, {
+    default_language: 'none',
+    language_override: 'textLanguage',
+  });
+}
+
+// The tracks worth fetching out of a watch page's caption tracks
+export function selectTracks(captionTracks, max = CAPTIONS_MAX_TRACKS) {
+  return [
+    ...captionTracks.filter(track => track.kind === 'manual'),
+    ...captionTracks.filter(track => track.kind === 'asr'),
+  ].filter(track => !!track.baseUrl).slice(0, max);
+}
+
+// Turns a timedtext track in json3 format into segments of { startMs, durationMs, text }.
+// Automatic captions have events that only hold line breaks, those are left out
+export function parseTimedText(timedText) {
+  return (timedText.events || [])
+    .filter(event => event.segs)
+    .map(event => ({
+      startMs: event.tStartMs || 0,
+      durationMs: event.dDurationMs || 0,
+      text: event.segs.map(seg => seg.utf8 || '').join('').replace(/\s+/g, ' ').trim(),
+    }))
+    .filter(segment => segment.text.length > 0);
+}
+
+export async function fetchCaptionTrack(track) {
+  const url = new URL(track.baseUrl);
+  url.searchParams.set('fmt', 'json3');
+  const response = await httpRequest({
+    url: url.toString(),
+    timeout: 10000,
+  });
+  return parseTimedText(typeof response.data === 'object' ? response.data : {});
+}
+
+// Fetches the selected caption tracks of a video that aren't stored yet and stores them with
+// their search terms. Resolves how many tracks were stored
+export async function harvestCaptions(captionsCollection, videoUri, captionTracks) {
+  const tracks = selectTracks(captionTracks);
+  if (tracks.length === 0) {
+    return 0;
+  }
+
+  const stored = await captionsCollection.find({ uri: videoUri })
+    .project({ languageCode: 1, kind: 1 })
+    .toArray();
+  const isStored = track => stored.some(({ languageCode, kind }) => languageCode === track.languageCode && kind === track.kind);
+
+  let storedCount = 0;
+  for (const track of tracks.filter(track => !isStored(track))) {
+    const segments = await fetchCaptionTrack(track);
+    if (segments.length === 0) {
+      console.error('Empty caption track:', videoUri, track.languageCode, track.kind);
+      continue;
+    }
+
+    const language = supportedLanguage(track.languageCode);
+    await captionsCollection.updateOne({
+      uri: videoUri,
+      languageCode: track.languageCode,
+      kind: track.kind,
+    }, {
+      $set: {
+        videoId: videoIdFromUri(videoUri),
+        name: track.name,
+        language,
+        segments,
+        fuzzyWords: analyze(segments.map(segment => segment.text).join(' '), language).join(' '),
+        fetchedAt: new Date(),
+      },
+    }, { upsert: true });
+    storedCount++;
+  }
+  return storedCount;
+}
+
+// Segments of the caption tracks with a search term in them, in the order they are spoken
+export function findTranscriptHits(captions, terms, max = MAX_TRANSCRIPT_HITS) {
+  const termSet = new Set(terms);
+  const hits = [];
+  captions.forEach(({ languageCode, kind, language, segments }) => {
+    segments.forEach(segment => {
+      if (analyze(segment.text, language).some(term => termSet.has(term))) {
+        hits.push({ languageCode, kind, ...segment });
+      }
+    });
+  });
+  return hits.sort((a, b) => a.startMs - b.startMs).slice(0, max);
+}
+
+// Searches the transcripts of videos, with the query route's filters and sorting applied to
+// the videos they belong to. Each video comes with the transcript segments that matched
+export async function searchTranscripts(captionsCollection, params) {
+  if (!params.q) {
+    throw new Error('Transcript search requires a search term');
+  }
+
+  const terms = analyzeQuery(params.q);
+  const results = await aggregatePage(captionsCollection, [
+    { $match: { $text: { $search: terms.join(' ') } } },
+    { $addFields: { textScore: { $meta: 'textScore' } } },
+    { $group: { _id: '$uri', textScore: { $max: '$textScore' } } },
+    { $lookup: { from: 'videos', localField: '_id', foreignField: 'uri', as: 'video' } },
+    { $unwind: '$video' },
+    { $replaceRoot: { newRoot: { $mergeObjects: ['$video', { textScore: '$textScore' }] } } },
+    { $match: buildMatch({ ...params, q: undefined }) },
+    ...buildPageStages(params),
+  ], params);
+
+  const captions = await captionsCollection.find({ uri: { $in: results.items.map(item => item.uri) } })
+    .project({ _id: 0, uri: 1, languageCode: 1, kind: 1, language: 1, segments: 1 })
+    .toArray();
+  results.items.forEach(item => {
+    item.transcriptHits = findTranscriptHits(captions.filter(caption => caption.uri === item.uri), terms);
+  });
+  return results;
+}
@@ -0,0 +1,191 @@
+import xmlParser from 'fast-xml-parser';
+import { httpRequest } from './http.js';
+
+export const ytChannelStr = 'https://www.youtube.com/channel/';
+
+// Bounds for how often a channel feed is polled, the interval adapts to upload frequency in between
+const CHANNEL_POLL_MIN = parseInt(process.env.CHANNEL_POLL_MIN || 60 * 60 * 1000, 10);
+const CHANNEL_POLL_MAX = parseInt(process.env.CHANNEL_POLL_MAX || 14 * 24 * 60 * 60 * 1000, 10);
+
+// How long a poll claim is held before another instance may poll the channel
+const CHANNEL_POLL_LEASE = 5 * 60 * 1000;
+
+// Extracts the channel ID from an author url, only /channel/ urls carry it
+export function channelIdFromUrl(authorUrl) {
+  if (authorUrl && authorUrl.substr(0, ytChannelStr.length) === ytChannelStr) {
+    return authorUrl.substr(ytChannelStr.length).split(/[/?#]/)[0];
+  }
+}
+
+export function buildChannelFeedUri(channelId) {
+  return `https://www.youtube.com/feeds/videos.xml?channel_id=${channelId}`;
+}
+
+// Querystring schema for the channel list route
+export const channelListSchema = {
+  type: 'object',
+  properties: {
+    page: { type: 'integer', minimum: 0, default: 0 },
+    limit: { type: 'integer', minimum: 1, maximum: 50, default: 20 },
+    sort: { type: 'string', enum: ['videoCount', 'lastSeen', 'firstSeen', 'lastUploadAt'], default: 'videoCount' },
+  },
+};
+
+function clampInterval(interval) {
+  return Math.floor(Math.min(CHANNEL_POLL_MAX, Math.max(CHANNEL_POLL_MIN, interval)));
+}
+
+export async function ensureChannelIndices(channelsCollection) {
+  await channelsCollection.createIndex({ channelId: 1 }, { unique: true });
+  await channelsCollection.createIndex({ nextPollAt: 1 });
+  await channelsCollection.createIndex({ videoCount: -1 });
+  await channelsCollection.createIndex({ lastSeen: -1 });
+  await channelsCollection.createIndex({ updatedAt: 1, _id: 1 });
+}
+
+// Records that a channel was seen, new channels are due for a feed poll straight away.
+// isNewVideo increments the channel's video count
+export async function recordChannel(channelsCollection, { channelId, name }, isNewVideo = false) {
+  const now = new Date();
+  const update = {
+    $set: { lastSeen: now, updatedAt: now },
+    $setOnInsert: {
+      url: `${ytChannelStr}${channelId}`,
+      firstSeen: now,
+      nextPollAt: now,
+      pollInterval: CHANNEL_POLL_MIN,
+    },
+    $inc: { videoCount: isNewVideo ? 1 : 0 },
+  };
+
+  if (name) {
+    update.$set.name = name;
+  }
+
+  await channelsCollection.updateOne({ channelId }, update, { upsert: true });
+}
+
+// Makes a channel due for a feed poll straight away, creating it if it isn't known yet
+export async function requestChannelPoll(channelsCollection, channelId) {
+  await recordChannel(channelsCollection, { channelId });
+  await channelsCollection.updateOne({ channelId }, { $set: { nextPollAt: new Date() } });
+}
+
+// Fetches and parses a channel RSS feed into channel metadata and its latest videos
+export async function fetchChannelFeed(channelId) {
+  const feedResponse = await httpRequest({ url: buildChannelFeedUri(channelId) });
+  const { feed } = xmlParser.parse(feedResponse.data, {});
+  const entries = feed.entry ? [].concat(feed.entry) : []; // Single entries aren't parsed as arrays
+  return {
+    name: feed.author && feed.author.name,
+    published: feed.published,
+    videos: entries
+      .filter(entry => entry && entry['yt:videoId'])
+      .map(entry => ({
+        videoId: entry['yt:videoId'],
+        title: entry.title,
+        published: entry.published && new Date(entry.published),
+      })),
+  };
+}
+
+// Works out the next poll interval from the feed: roughly twice per average gap between
+// uploads, backing off further each time a poll finds nothing new
+function nextPollInterval(channel, videos, newCount) {
+  const publishTimes = videos
+    .map(video => video.published && video.published.getTime())
+    .filter(time => !!time)
+    .sort((a, b) => b - a);
+
+  let interval = CHANNEL_POLL_MAX;
+  if (publishTimes.length > 1) {
+    const averageGap = (publishTimes[0] - publishTimes[publishTimes.length - 1]) / (publishTimes.length - 1);
+    interval = averageGap / 2;
+  }
+
+  if (newCount === 0 && channel.pollInterval) {
+    interval = Math.max(interval, channel.pollInterval * 1.5);
+  }
+
+  return clampInterval(interval);
+}
+
+// Claims a channel that is due for a poll so other cluster instances skip it
+async function claimDueChannel(channelsCollection) {
+  const now = new Date();
+  const { value } = await channelsCollection.findOneAndUpdate({
+    nextPollAt: { $lte: now },
+  }, {
+    $set: { nextPollAt: new Date(now.getTime() + CHANNEL_POLL_LEASE) },
+  }, { sort: { nextPollAt: 1 } });
+  return value;
+}
+
+// Polls the feed of a claimed channel, hands every listed video ID to crawlVideo
+// and reschedules the next poll. Resolves the number of uploads new since the last poll
+export async function pollChannel(channelsCollection, channel, crawlVideo) {
+  const now = new Date();
+  const { name, published, videos } = await fetchChannelFeed(channel.channelId);
+  const newVideos = videos.filter(video => !channel.lastUploadAt || (video.published && video.published > channel.lastUploadAt));
+  for (let i = 0; i < videos.length; i++) {
+    await crawlVideo(videos[i].videoId);
+  }
+
+  const pollInterval = nextPollInterval(channel, videos, newVideos.length);
+  const update = {
+    lastPolledAt: now,
+    nextPollAt: new Date(now.getTime() + pollInterval),
+    pollInterval,
+    feedVideoCount: videos.length,
+    updatedAt: now,
+  };
+
+  if (name) {
+    update.name = name;
+  }
+
+  if (published) {
+    update.published = new Date(published);
+  }
+
+  const latestUpload = videos.reduce((latest, video) => (
+    video.published && (!latest || video.published > latest) ? video.published : latest
+  ), channel.lastUploadAt);
+  if (latestUpload) {
+    update.lastUploadAt = latestUpload;
+  }
+
+  await channelsCollection.updateOne({ channelId: channel.channelId }, { $set: update });
+  return newVideos.length;
+}
+
+// Polls up to limit channels whose next poll time has passed
+export async function pollDueChannels(channelsCollection, limit, crawlVideo) {
+  let polledCount = 0;
+  for (let i = 0; i < limit; i++) {
+    const channel = await claimDueChannel(channelsCollection);
+    if (!channel) {
+      break;
+    }
+
+    try {
+      const newCount = await pollChannel(channelsCollection, channel, crawlVideo);
+      console.log('Polled channel', channel.channelId, 'found', newCount, 'new uploads');
+    } catch (e) {
+      // Try again later, feeds fail for terminated channels so back off hard
+      console.error('Unable to poll channel feed:', channel.channelId, e.message);
+      const pollInterval = clampInterval((channel.pollInterval || CHANNEL_POLL_MIN) * 2);
+      const now = new Date();
+      await channelsCollection.updateOne({ channelId: channel.channelId }, {
+        $set: {
+          lastPolledAt: now,
+          nextPollAt: new Date(now.getTime() + pollInterval),
+          pollInterval,
+          updatedAt: now,
+        },
+      });
+    }
+    polledCount++;
+  }
+  return polledCount;
+}
@@ -0,0 +1,79 @@
+import { URL } from 'url';
+
+// How long an enrichment claim is held before another instance may enrich the video
+const ENRICHMENT_LEASE = 30 * 60 * 1000;
+
+function videoIdFromUri(videoUri) {
+  return new URL(videoUri).searchParams.get('v');
+}
+
+export async function ensureEngagementIndices(engagementCollection, commentsCollection, videosCollection) {
+  await engagementCollection.createIndex({ uri: 1 }, { unique: true });
+  await commentsCollection.createIndex({ uri: 1, commentId: 1 }, { unique: true });
+  await commentsCollection.createIndex({ uri: 1, likeCount: -1 });
+  await videosCollection.createIndex({ enrichedAt: 1, enrichLeaseUntil: 1 });
+}
+
+// Claims up to limit indexed videos that haven't been enriched yet so other cluster instances
+// skip them. Videos we only know the uri of are left for the unknown details source first
+export async function claimUnenrichedVideos(videosCollection, limit) {
+  const claimed = [];
+  for (let i = 0; i < limit; i++) {
+    const now = new Date();
+    const { value } = await videosCollection.findOneAndUpdate({
+      enrichedAt: null,
+      title: { $nin: [null, ''] },
+      $or: [
+        { enrichLeaseUntil: null },
+        { enrichLeaseUntil: { $lte: now } },
+      ],
+    }, {
+      $set: { enrichLeaseUntil: new Date(now.getTime() + ENRICHMENT_LEASE) },
+    }, { projection: { uri: 1 } });
+    if (!value) {
+      break;
+    }
+    claimed.push(value);
+  }
+  return claimed;
+}
+
+// Stores the like count, comment count, chapters and hashtags of a video and marks it enriched
+export async function storeEngagement(engagementCollection, videosCollection, videoUri, engagement) {
+  const now = new Date();
+  const { likeCount, commentCount, chapters, hashtags } = engagement;
+  await engagementCollection.updateOne({ uri: videoUri }, {
+    $set: {
+      videoId: videoIdFromUri(videoUri),
+      likeCount,
+      commentCount,
+      chapters,
+      hashtags,
+      fetchedAt: now,
+    },
+  }, { upsert: true });
+  await videosCollection.updateOne({ uri: videoUri }, {
+    $set: { enrichedAt: now, updatedAt: now },
+    $unset: { enrichLeaseUntil: '' },
+  });
+}
+
+// Stores a page of top level comments of a video, comments seen before get their counts updated
+export async function storeComments(commentsCollection, videoUri, comments) {
+  const now = new Date();
+  const operations = comments
+    .filter(comment => !!comment.commentId)
+    .map(comment => ({
+      updateOne: {
+        filter: { uri: videoUri, commentId: comment.commentId },
+        update: {
+          $set: { ...comment, videoId: videoIdFromUri(videoUri), fetchedAt: now },
+        },
+        upsert: true,
+      },
+    }));
+  if (operations.length > 0) {
+    await commentsCollection.bulkWrite(operations, { ordered: false });
+  }
+  return operations.length;
+}
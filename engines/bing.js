@@ -0,0 +1,29 @@
+import qs from 'qs';
+import { createWordQueries, nextLinkRequest, resolveUrl } from '../search-engines.js';
+
+const bingSearchTimeout = () => Math.floor(15000 + Math.random() * 15000);
+
+// Bing's result pages, searched for random words on youtube.com. Results link through Bing's
+// click tracking redirect, which the link extractor unwraps
+export function createBingEngine() {
+  return {
+    name: 'bing',
+    host: 'www.bing.com',
+    interval: bingSearchTimeout,
+    queries: createWordQueries(),
+    maxPages: 5,
+
+    request(query) {
+      return {
+        method: 'GET',
+        url: `https://www.bing.com/search?${qs.stringify({ q: query.q })}`,
+      };
+    },
+
+    // The next page link has the sb_pagN class
+    nextPage($, request) {
+      const href = $('a.sb_pagN').attr('href');
+      return href ? { method: 'GET', url: resolveUrl(href, request.url) } : nextLinkRequest($, request.url);
+    },
+  };
+}
@@ -0,0 +1,32 @@
+import qs from 'qs';
+import { createPrefixQueries, formRequest } from '../search-engines.js';
+
+const duckSearchTimeout = () => Math.floor(20000 + Math.random() * 30000);
+
+// DuckDuckGo's HTML site, searched for watch urls under video ID prefixes. Result pages are paged
+// through by posting the hidden fields of the next page form, until they run out. The previous page
+// form looks the same, the next page one is the form whose result offset s is past the current page's
+export function createDuckDuckGoEngine() {
+  return {
+    name: 'duckduckgo',
+    host: 'html.duckduckgo.com',
+    interval: duckSearchTimeout,
+    queries: createPrefixQueries(),
+
+    request(query) {
+      return {
+        method: 'POST',
+        url: 'https://html.duckduckgo.com/html/',
+        data: qs.stringify({ q: query.q }),
+      };
+    },
+
+    nextPage($, request) {
+      const offset = parseInt(qs.parse(request.data || '').s, 10) || 0;
+      const forms = $('form[action=\'/html/\']').filter((index, element) =>
+        parseInt($(element).find('input[name=s]').val(), 10) > offset
+      );
+      return formRequest($, forms, request.url);
+    },
+  };
+}
@@ -0,0 +1,26 @@
+import qs from 'qs';
+import { createWordQueries, nextLinkRequest } from '../search-engines.js';
+
+const mojeekSearchTimeout = () => Math.floor(10000 + Math.random() * 10000);
+
+// Mojeek's result pages, searched for random words on youtube.com and paged through by their next link
+export function createMojeekEngine() {
+  return {
+    name: 'mojeek',
+    host: 'www.mojeek.com',
+    interval: mojeekSearchTimeout,
+    queries: createWordQueries(),
+    maxPages: 5,
+
+    request(query) {
+      return {
+        method: 'GET',
+        url: `https://www.mojeek.com/search?${qs.stringify({ q: query.q })}`,
+      };
+    },
+
+    nextPage($, request) {
+      return nextLinkRequest($, request.url);
+    },
+  };
+}
@@ -0,0 +1,33 @@
+import { createWordQueries, nextLinkRequest } from '../search-engines.js';
+
+// Comma separated url templates of any pages that link to YouTube videos, such as a search engine
+// or a site search, with {query} where the search terms go
+const SEARCH_PAGE_URLS = (process.env.SEARCH_PAGE_URLS || '').split(',').map(url => url.trim()).filter(url => !!url);
+
+const searchPagesTimeout = () => Math.floor(30000 + Math.random() * 30000);
+
+// Any page linking to videos, searched for random words. Queries go round the url templates and
+// each page's hosts back off on their own, since the pages can be on any host
+export function createSearchPagesEngine() {
+  let nextTemplate = 0;
+
+  return {
+    name: 'search-pages',
+    interval: searchPagesTimeout,
+    queries: createWordQueries(),
+    maxPages: 3,
+
+    request(query) {
+      const template = SEARCH_PAGE_URLS[nextTemplate];
+      nextTemplate = (nextTemplate + 1) % SEARCH_PAGE_URLS.length;
+      return {
+        method: 'GET',
+        url: template.replace('{query}', encodeURIComponent(query.q)),
+      };
+    },
+
+    nextPage($, request) {
+      return nextLinkRequest($, request.url);
+    },
+  };
+}
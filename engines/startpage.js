@@ -0,0 +1,30 @@
+import qs from 'qs';
+import { createWordQueries, formRequest } from '../search-engines.js';
+
+const startpageSearchTimeout = () => Math.floor(20000 + Math.random() * 20000);
+
+// Startpage's result pages, searched for random words on youtube.com. Every page button is a
+// form of hidden fields posted back to the search, the next page one holds a button with a next class
+export function createStartpageEngine() {
+  return {
+    name: 'startpage',
+    host: 'www.startpage.com',
+    interval: startpageSearchTimeout,
+    queries: createWordQueries(),
+    maxPages: 5,
+    captchaMarkers: ['/sp/captcha'],
+
+    request(query) {
+      return {
+        method: 'POST',
+        url: 'https://www.startpage.com/sp/search',
+        data: qs.stringify({ query: query.q, cat: 'web' }),
+      };
+    },
+
+    nextPage($, request) {
+      const forms = $('form').filter((index, element) => $(element).find('.next').length > 0);
+      return formRequest($, forms, request.url);
+    },
+  };
+}
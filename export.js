@@ -0,0 +1,76 @@
+import dotenv from 'dotenv';
+import fs from 'fs';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { exportChunks, exportQuerySchema } from './exporter.js';
+import { createStore } from './store.js';
+
+// Exports the index to a file or stdout, taking the export route's query parameters as options:
+//   node export.js --collection videos --format csv --since 2021-11-01T00:00:00Z --out videos.csv
+dotenv.config({ path: './.env' });
+
+// Logs go to stderr so that stdout only has the export
+console.log = console.error;
+
+// Parses "--name value" pairs, flags without a value are true
+function parseArgs(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      const hasValue = i + 1 < args.length && !args[i + 1].startsWith('--');
+      options[args[i].substr(2)] = hasValue ? args[++i] : 'true';
+    }
+  }
+  return options;
+}
+
+// Applies schema defaults and checks enums, the route gets this done by fastify
+function buildParams(options) {
+  const params = {};
+  Object.keys(exportQuerySchema.properties).forEach(key => {
+    const property = exportQuerySchema.properties[key];
+    const value = options[key] !== undefined ? options[key] : property.default;
+    if (value === undefined) {
+      return;
+    }
+
+    if (property.enum && property.enum.indexOf(value) === -1) {
+      throw new Error(`--${key} must be one of: ${property.enum.join(', ')}`);
+    }
+    if (property.pattern && !new RegExp(property.pattern).test(value)) {
+      throw new Error(`--${key} must match ${property.pattern}`);
+    }
+    params[key] = property.type === 'boolean' ? value === 'true' : value;
+  });
+
+  if (params.since && isNaN(new Date(params.since).getTime())) {
+    throw new Error('--since must be a date');
+  }
+  if (params.afterId && !params.since) {
+    throw new Error('--afterId needs --since');
+  }
+  return params;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const params = buildParams(options);
+
+  const store = await createStore();
+  if (!store.db) {
+    throw new Error('Exports need the mongodb store');
+  }
+
+  await store.init();
+  try {
+    const output = options.out ? fs.createWriteStream(options.out) : process.stdout;
+    await pipeline(Readable.from(exportChunks(store.db, params)), output);
+  } finally {
+    await store.close();
+  }
+}
+
+main().catch(e => {
+  console.error('Export failed:', e.message);
+  process.exit(1);
+});
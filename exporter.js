@@ -0,0 +1,138 @@
+import { ObjectId } from 'mongodb';
+import { buildMatch } from './search.js';
+
+// Rows per row group of the jsonl-columns format
+const ROW_GROUP_SIZE = 10000;
+
+// Exportable collections with the fields written to CSV and jsonl-columns files and the
+// timestamp that incremental exports are keyed on, which every write changing a record bumps
+const collections = {
+  videos: {
+    updatedField: 'updatedAt',
+    fields: [
+      'uri', 'title', 'description', 'authorName', 'authorUrl', 'lengthSeconds', 'viewCount', 'category',
+      'uploadDate', 'publishDate', 'keywords', 'isLive', 'isUnlisted', 'isFamilySafe', 'availability', 'updatedAt',
+    ],
+  },
+  channels: {
+    updatedField: 'updatedAt',
+    fields: ['channelId', 'name', 'url', 'videoCount', 'firstSeen', 'lastSeen', 'lastUploadAt', 'updatedAt'],
+  },
+  queries: {
+    updatedField: 'updatedAt',
+    fields: ['query', 'date', 'crawlDate', 'updatedAt'],
+  },
+};
+
+export const exportFormats = {
+  jsonl: 'application/x-ndjson',
+  csv: 'text/csv',
+  'jsonl-columns': 'application/x-ndjson',
+};
+
+// Search words are only used by the index and claim leases change while a video is
+// being worked on, they aren't exported
+const omittedFields = { fuzzyWords: 0, enrichLeaseUntil: 0, thumbnailLeaseUntil: 0 };
+
+// Querystring schema for the export route
+export const exportQuerySchema = {
+  type: 'object',
+  properties: {
+    collection: { type: 'string', enum: Object.keys(collections), default: 'videos' },
+    format: { type: 'string', enum: Object.keys(exportFormats), default: 'jsonl' },
+    since: { type: 'string', format: 'date-time' },
+    afterId: { type: 'string', pattern: '^[0-9a-f]{24}$' },
+    category: { type: 'string' },
+    channel: { type: 'string' },
+    hasMetadata: { type: 'boolean' },
+    uploadedAfter: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+    uploadedBefore: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+  },
+  // afterId pages through the records updated at since, it means nothing without it
+  dependencies: { afterId: ['since'] },
+};
+
+// Builds the query for an export. Video filters only apply to the videos collection. Records updated
+// at since are included, or with afterId only the ones after that record, in export order
+function buildExportFilter(params) {
+  const { collection, since, afterId, hasMetadata } = params;
+  const { updatedField } = collections[collection];
+  const filter = collection === 'videos' ? buildMatch(params) : {};
+  if (since && afterId) {
+    filter.$or = [
+      { [updatedField]: { $gt: new Date(since) } },
+      { [updatedField]: new Date(since), _id: { $gt: new ObjectId(afterId) } },
+    ];
+  } else if (since) {
+    filter[updatedField] = { $gte: new Date(since) };
+  }
+
+  if (hasMetadata !== undefined && collection === 'videos') {
+    filter.title = hasMetadata ? { $nin: [null, ''] } : { $in: [null, ''] };
+  }
+  return filter;
+}
+
+function csvValue(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  let str;
+  if (value instanceof Date) {
+    str = value.toISOString();
+  } else if (Array.isArray(value)) {
+    str = value.join('|');
+  } else {
+    str = String(value);
+  }
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// Row group of the jsonl-columns format: one JSON line per group of rows with an array of values per field
+function rowGroup(fields, docs) {
+  const columns = {};
+  fields.forEach(field => {
+    columns[field] = docs.map(doc => (doc[field] === undefined ? null : doc[field]));
+  });
+  return JSON.stringify({ rows: docs.length, columns }) + '\n';
+}
+
+// Streams the export as chunks of text, oldest updates first. The last record's timestamp and _id
+// can be passed as since and afterId to pick up from there next time
+export async function* exportChunks(db, params) {
+  const { collection, format } = params;
+  const { updatedField } = collections[collection];
+  const fields = ['_id', ...collections[collection].fields];
+  const cursor = db.collection(collection)
+    .find(buildExportFilter(params))
+    .project(omittedFields)
+    .sort({ [updatedField]: 1, _id: 1 });
+
+  if (format === 'csv') {
+    yield fields.join(',') + '\n';
+  }
+
+  let group = [];
+  try {
+    for await (const doc of cursor) {
+      if (format === 'jsonl') {
+        yield JSON.stringify(doc) + '\n';
+      } else if (format === 'csv') {
+        yield fields.map(field => csvValue(doc[field])).join(',') + '\n';
+      } else {
+        group.push(doc);
+        if (group.length >= ROW_GROUP_SIZE) {
+          yield rowGroup(fields, group);
+          group = [];
+        }
+      }
+    }
+
+    if (group.length > 0) {
+      yield rowGroup(fields, group);
+    }
+  } finally {
+    await cursor.close();
+  }
+}
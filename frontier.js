@@ -0,0 +1,225 @@
+import os from 'os';
+
+// Identifies this process when claiming frontier entries so that
+// cluster instances don't pick up each other's in-flight work
+export const workerId = `${os.hostname()}:${process.pid}`;
+
+// How long a claimed entry stays reserved before any worker may claim it again
+const LEASE_TIMEOUT = parseInt(process.env.FRONTIER_LEASE_TIMEOUT || 10 * 60 * 1000, 10);
+
+// Frontier entry statuses
+export const QUEUED = 'queued';
+export const DONE = 'done';
+export const FAILED = 'failed';
+export const SKIPPED = 'skipped';
+
+// Claim fields for an entry claimed by this worker, shared with the SQL stores' frontiers
+export function leaseFields(now) {
+  return {
+    claimedBy: workerId,
+    leaseUntil: new Date(now.getTime() + LEASE_TIMEOUT),
+  };
+}
+
+// MongoDB backed frontier, shared by every cluster instance using the same database.
+// Uniqueness of the uri index is what makes adding and claiming safe across workers
+export function createMongoFrontier(collection) {
+  return {
+    async init() {
+      await collection.createIndex({ uri: 1 }, { unique: true });
+      await collection.createIndex({ status: 1, leaseUntil: 1, priority: 1 });
+    },
+
+    // Adds a uri to the frontier claimed by this worker, resolves false if it is already known.
+    // With recrawlAfter (ms) a uri that finished crawling longer ago than that is queued again
+    async add(uri, { type = 'video', priority = 5, recrawlAfter } = {}) {
+      const now = new Date();
+      const entry = { status: QUEUED, type, priority, ...leaseFields(now) };
+      try {
+        if (recrawlAfter === undefined) {
+          const result = await collection.updateOne({ uri }, {
+            $setOnInsert: { ...entry, attempts: 0, firstSeen: now },
+          }, { upsert: true });
+          return result.upsertedCount > 0;
+        }
+
+        // No match on an existing uri falls through to an insert which fails on the unique index
+        const result = await collection.updateOne({
+          uri,
+          status: { $ne: QUEUED },
+          lastCrawled: { $lt: new Date(now.getTime() - recrawlAfter) },
+        }, {
+          $set: entry,
+          $setOnInsert: { attempts: 0, firstSeen: now },
+        }, { upsert: true });
+        return result.upsertedCount > 0 || result.modifiedCount > 0;
+      } catch (e) {
+        if (e.code === 11000) { // Duplicate key, another worker knows about it
+          return false;
+        }
+        throw e;
+      }
+    },
+
+    // Claims up to limit queued entries whose lease has expired, typically left
+    // behind by a worker that restarted before finishing them
+    async claim(limit = 1, type) {
+      const claimed = [];
+      const filter = { status: QUEUED, leaseUntil: { $lt: new Date() } };
+      if (type) {
+        filter.type = type;
+      }
+
+      for (let i = 0; i < limit; i++) {
+        const { value } = await collection.findOneAndUpdate(filter, {
+          $set: leaseFields(new Date()),
+        }, { sort: { priority: 1 }, returnDocument: 'after' });
+        if (!value) {
+          break;
+        }
+        claimed.push(value);
+      }
+      return claimed;
+    },
+
+    // Extends this worker's lease on a queued uri that is about to be crawled, or takes over one
+    // whose lease ran out. Resolves false when another worker holds it or it isn't queued anymore
+    async renew(uri) {
+      const now = new Date();
+      const result = await collection.updateOne({
+        uri,
+        status: QUEUED,
+        $or: [{ claimedBy: workerId }, { leaseUntil: { $lt: now } }],
+      }, {
+        $set: leaseFields(now),
+      });
+      return result.matchedCount > 0;
+    },
+
+    // Marks a uri as finished with a status and any extra fields (status code etc)
+    async complete(uri, status, extra = {}) {
+      await collection.updateOne({ uri }, {
+        $set: { ...extra, status, lastCrawled: new Date() },
+        $inc: { attempts: 1 },
+        $unset: { claimedBy: '', leaseUntil: '' },
+      });
+    },
+
+    // Gives up this worker's claim on a uri so that any worker can crawl it again,
+    // optionally not before the given date. Only releases after a request was sent
+    // (attempted) count as an attempt, uris that were held back before that don't
+    async release(uri, notBefore = new Date(), { attempted = false } = {}) {
+      await collection.updateOne({ uri }, {
+        $set: { status: QUEUED, leaseUntil: notBefore },
+        $inc: { attempts: attempted ? 1 : 0 },
+        $unset: { claimedBy: '' },
+      });
+    },
+
+    async remove(uri) {
+      await collection.deleteOne({ uri });
+    },
+
+    async counts() {
+      const groups = await collection.aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 } } },
+      ]).toArray();
+      return groups.reduce((counts, group) => {
+        counts[group._id] = group.count;
+        return counts;
+      }, {});
+    },
+  };
+}
+
+// In-memory frontier with the same behaviour as the MongoDB one, for tests
+// and single instance runs where persistence isn't needed
+export function createMemoryFrontier() {
+  const entries = new Map();
+
+  return {
+    async init() {},
+
+    async add(uri, { type = 'video', priority = 5, recrawlAfter } = {}) {
+      const now = new Date();
+      const existing = entries.get(uri);
+      if (existing && (
+        recrawlAfter === undefined ||
+        existing.status === QUEUED ||
+        !existing.lastCrawled ||
+        existing.lastCrawled >= new Date(now.getTime() - recrawlAfter)
+      )) {
+        return false;
+      }
+
+      entries.set(uri, {
+        attempts: 0,
+        firstSeen: now,
+        ...existing,
+        uri,
+        status: QUEUED,
+        type,
+        priority,
+        ...leaseFields(now),
+      });
+      return true;
+    },
+
+    async claim(limit = 1, type) {
+      const now = new Date();
+      const claimable = [...entries.values()]
+        .filter(entry => entry.status === QUEUED && entry.leaseUntil < now && (!type || entry.type === type))
+        .sort((a, b) => a.priority - b.priority)
+        .slice(0, limit);
+      claimable.forEach(entry => Object.assign(entry, leaseFields(now)));
+      return claimable.map(entry => ({ ...entry }));
+    },
+
+    async renew(uri) {
+      const now = new Date();
+      const entry = entries.get(uri);
+      if (!entry || entry.status !== QUEUED || (entry.claimedBy !== workerId && entry.leaseUntil >= now)) {
+        return false;
+      }
+      Object.assign(entry, leaseFields(now));
+      return true;
+    },
+
+    async complete(uri, status, extra = {}) {
+      const entry = entries.get(uri);
+      if (entry) {
+        delete entry.claimedBy;
+        delete entry.leaseUntil;
+        Object.assign(entry, extra, { status, lastCrawled: new Date(), attempts: entry.attempts + 1 });
+      }
+    },
+
+    async release(uri, notBefore = new Date(), { attempted = false } = {}) {
+      const entry = entries.get(uri);
+      if (entry) {
+        delete entry.claimedBy;
+        Object.assign(entry, { status: QUEUED, leaseUntil: notBefore, attempts: entry.attempts + (attempted ? 1 : 0) });
+      }
+    },
+
+    async remove(uri) {
+      entries.delete(uri);
+    },
+
+    async counts() {
+      const counts = {};
+      entries.forEach(entry => {
+        counts[entry.status] = (counts[entry.status] || 0) + 1;
+      });
+      return counts;
+    },
+  };
+}
+
+// Creates the frontier selected by the FRONTIER env var, memory or the store's own (the default)
+export function createFrontier(store) {
+  if (process.env.FRONTIER === 'memory') {
+    return createMemoryFrontier();
+  }
+  return store.frontier;
+}
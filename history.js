@@ -0,0 +1,181 @@
+import { URL } from 'url';
+
+// Bounds for how often a video is revisited, the interval depends on its age and popularity in between
+const REFRESH_MIN = parseInt(process.env.REFRESH_MIN || 6 * 60 * 60 * 1000, 10);
+const REFRESH_MAX = parseInt(process.env.REFRESH_MAX || 30 * 24 * 60 * 60 * 1000, 10);
+
+// How long a refresh claim is held before another instance may refresh the video
+const REFRESH_LEASE = 30 * 60 * 1000;
+
+// Video availability, as far as oembed and the watch page tell
+export const EMBEDDABLE = 'embeddable';
+export const UNEMBEDDABLE = 'unembeddable';
+export const RESTRICTED = 'restricted'; // Private, behind a login, age or content check, or region locked
+export const UNAVAILABLE = 'unavailable'; // Deleted or removed
+
+// History entry types
+const VIEWS = 'views';
+const AVAILABILITY = 'availability';
+
+// Querystring schema for the video history route
+export const historyQuerySchema = {
+  type: 'object',
+  properties: {
+    limit: { type: 'integer', minimum: 1, maximum: 1000, default: 100 },
+  },
+};
+
+function clampInterval(interval) {
+  return Math.floor(Math.min(REFRESH_MAX, Math.max(REFRESH_MIN, interval)));
+}
+
+function videoIdFromUri(videoUri) {
+  return new URL(videoUri).searchParams.get('v');
+}
+
+export async function ensureHistoryIndices(historyCollection, videosCollection) {
+  await historyCollection.createIndex({ videoId: 1, type: 1, date: -1 });
+  await videosCollection.createIndex({ nextRefreshAt: 1 });
+}
+
+// Oembed answers 401 for videos that can't be embedded and 404 for private and deleted ones
+export function availabilityFromStatus(statusCode) {
+  if (statusCode === 200) {
+    return EMBEDDABLE;
+  } else if (statusCode === 401) {
+    return UNEMBEDDABLE;
+  } else if (statusCode === 404) {
+    return UNAVAILABLE;
+  }
+}
+
+// Playability statuses of videos that exist but can't be watched by everyone. UNPLAYABLE is
+// mostly a video that isn't available in the crawler's region
+const restrictedStatuses = ['LOGIN_REQUIRED', 'AGE_CHECK_REQUIRED', 'CONTENT_CHECK_REQUIRED', 'UNPLAYABLE'];
+
+// Works out availability from a parsed watch page's playability status. Only ERROR means the
+// video is gone, statuses we don't know about leave the availability undefined
+export function availabilityFromWatchPage(video) {
+  if (video.isPrivate || restrictedStatuses.indexOf(video.playabilityStatus) !== -1) {
+    return RESTRICTED;
+  } else if (video.playabilityStatus === 'OK' || video.playabilityStatus === 'LIVE_STREAM_OFFLINE') {
+    return video.isEmbeddable === false ? UNEMBEDDABLE : EMBEDDABLE;
+  } else if (video.playabilityStatus === 'ERROR') {
+    return UNAVAILABLE;
+  }
+}
+
+// Young videos gain views fastest and popular ones are worth following closely, so the
+// interval is the video's age scaled down by the magnitude of its view count.
+// Unavailable videos are only checked rarely in case they come back
+export function refreshInterval(video, now = Date.now()) {
+  if (video.availability === UNAVAILABLE) {
+    return REFRESH_MAX;
+  }
+
+  const uploaded = video.uploadDate ? new Date(video.uploadDate).getTime() : NaN;
+  const age = isNaN(uploaded) ? REFRESH_MAX : Math.max(0, now - uploaded);
+  const views = parseInt(video.viewCount, 10) || 0;
+  return clampInterval(age / (1 + Math.log10(1 + views)));
+}
+
+// When a newly inserted video is first due for a refresh
+export function initialRefreshAt() {
+  return new Date(Date.now() + REFRESH_MIN);
+}
+
+// Stores a video's availability and records the transition in its history if it changed.
+// Videos that aren't in the database yet are left alone
+export async function recordAvailability(videosCollection, historyCollection, videoUri, availability) {
+  const now = new Date();
+  const { value: previous } = await videosCollection.findOneAndUpdate({
+    uri: videoUri,
+    availability: { $ne: availability },
+  }, {
+    $set: {
+      availability,
+      availabilityChangedAt: now,
+      updatedAt: now,
+    },
+  }, { projection: { availability: 1 } });
+
+  // The first availability seen isn't a transition
+  if (previous && previous.availability) {
+    await historyCollection.insertOne({
+      videoId: videoIdFromUri(videoUri),
+      type: AVAILABILITY,
+      date: now,
+      from: previous.availability,
+      to: availability,
+    });
+  }
+}
+
+// Appends a view count snapshot to a video's history
+export async function recordViewCount(historyCollection, videoUri, viewCount) {
+  await historyCollection.insertOne({
+    videoId: videoIdFromUri(videoUri),
+    type: VIEWS,
+    date: new Date(),
+    viewCount,
+  });
+}
+
+// Records the results of a watch page crawl and schedules the video's next refresh
+export async function recordWatchPage(videosCollection, historyCollection, videoUri, video) {
+  const availability = availabilityFromWatchPage(video);
+  if (availability) {
+    await recordAvailability(videosCollection, historyCollection, videoUri, availability);
+  }
+  if (video.viewCount !== undefined) {
+    await recordViewCount(historyCollection, videoUri, video.viewCount);
+  }
+
+  const now = Date.now();
+  await videosCollection.updateOne({ uri: videoUri }, {
+    $set: {
+      refreshedAt: new Date(now),
+      nextRefreshAt: new Date(now + refreshInterval({ ...video, availability }, now)),
+      updatedAt: new Date(now),
+    },
+  });
+}
+
+// Claims up to limit videos that are due for a refresh so other cluster instances skip them.
+// Videos stored before refreshing existed have no refresh time and go first
+export async function claimDueVideos(videosCollection, limit) {
+  const claimed = [];
+  for (let i = 0; i < limit; i++) {
+    const now = new Date();
+    const { value } = await videosCollection.findOneAndUpdate({
+      $or: [
+        { nextRefreshAt: null },
+        { nextRefreshAt: { $lte: now } },
+      ],
+    }, {
+      $set: { nextRefreshAt: new Date(now.getTime() + REFRESH_LEASE) },
+    }, { sort: { nextRefreshAt: 1 }, projection: { uri: 1 } });
+    if (!value) {
+      break;
+    }
+    claimed.push(value);
+  }
+  return claimed;
+}
+
+// View count snapshots and availability transitions of a video, newest first
+export async function getVideoHistory(historyCollection, videoId, limit) {
+  const [viewCounts, availabilityChanges] = await Promise.all([
+    historyCollection.find({ videoId, type: VIEWS })
+      .project({ _id: 0, date: 1, viewCount: 1 })
+      .sort({ date: -1 })
+      .limit(limit)
+      .toArray(),
+    historyCollection.find({ videoId, type: AVAILABILITY })
+      .project({ _id: 0, date: 1, from: 1, to: 1 })
+      .sort({ date: -1 })
+      .limit(limit)
+      .toArray(),
+  ]);
+  return { viewCounts, availabilityChanges };
+}
@@ -0,0 +1,254 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import { URL } from 'url';
+import randomUseragent from 'random-useragent';
+import HttpsProxyAgent from 'https-proxy-agent';
+import SocksProxyAgent from 'socks-proxy-agent';
+import toughCookie from 'tough-cookie';
+import { classifyOutcome, classifyAxiosError, OK, TIMEOUT, NETWORK } from './ratelimit.js';
+
+// Proxies requests go out through, comma separated http://, https://, socks4:// or socks5:// urls
+// with optional credentials. Without any, requests go out directly
+const PROXIES = (process.env.PROXIES || '').split(',').map(url => url.trim()).filter(url => !!url);
+
+// How often proxies are checked, ones that fail are skipped until they pass a check again
+const PROXY_CHECK_INTERVAL = parseInt(process.env.PROXY_CHECK_INTERVAL || 5 * 60 * 1000, 10);
+
+// Ban of a proxy after a 429 or captcha, doubling on every consecutive ban up to 32 times as long
+const PROXY_BAN_TIME = parseInt(process.env.PROXY_BAN_TIME || 10 * 60 * 1000, 10);
+const MAX_BAN_DOUBLINGS = 5;
+
+// Connection errors and timeouts in a row after which a proxy counts as unhealthy until its next check
+const MAX_PROXY_FAILURES = 3;
+
+// Requests an identity makes before it is replaced by one with a new user agent and cookies
+const IDENTITY_MAX_REQUESTS = parseInt(process.env.IDENTITY_MAX_REQUESTS || 500, 10);
+
+const healthCheckUrl = 'https://www.youtube.com/generate_204';
+
+// Desktop browsers recent enough to be served the same pages as the innertube WEB client
+const desktopBrowsers = randomUseragent.getAllData().filter(ua =>
+  ['Chrome', 'Firefox'].indexOf(ua.browserName) !== -1 &&
+  ['Windows', 'Mac OS', 'Linux', 'Ubuntu'].indexOf(ua.osName) !== -1 &&
+  !ua.deviceType &&
+  parseInt(ua.browserMajor, 10) >= 50
+);
+
+export function generateRandomHeaders(userAgent, origin = '') {
+  return {
+    'content-type': 'application/x-www-form-urlencoded',
+    'user-agent': userAgent || randomUseragent.getRandom(),
+    'authority': origin,
+    'cache-control': 'max-age=0',
+    'origin': `https://${origin}`,
+    'upgrade-insecure-requests': '1',
+    'dnt': '1',
+    'accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.9',
+    'sec-fetch-site': 'same-origin',
+    'sec-fetch-mode': 'navigate',
+    'sec-fetch-user': '?1',
+    'sec-fetch-dest': 'document',
+    'referer': `https://${origin}/`,
+    'accept-language': 'en-GB,en-US;q=0.9,en;q=0.8',
+    'sec-gpc': '1',
+  };
+}
+
+function createProxyAgent(url) {
+  return new URL(url).protocol.startsWith('socks') ? new SocksProxyAgent(url) : new HttpsProxyAgent(url);
+}
+
+// Proxy url without its credentials, for logs and stats
+function proxyLabel(url) {
+  const parsed = new URL(url);
+  parsed.username = '';
+  parsed.password = '';
+  return parsed.toString().replace(/\/$/, '');
+}
+
+const proxies = (PROXIES.length > 0 ? PROXIES : [undefined]).map(url => ({
+  label: url ? proxyLabel(url) : 'direct',
+  agent: url && createProxyAgent(url),
+  healthy: true,
+  bannedUntil: 0,
+  strikes: 0, // Bans in a row
+  failures: 0, // Connection errors and timeouts in a row
+  bans: 0,
+  requests: 0,
+  checkedAt: undefined,
+  identity: undefined,
+}));
+let nextProxy = 0;
+
+// An identity is a session that sticks to one proxy, with one browser's user agent, the visitor
+// data YouTube gave it and the cookies it was sent, so its requests look like one visitor's
+function createIdentity(proxy) {
+  const browser = desktopBrowsers[crypto.randomInt(0, desktopBrowsers.length)];
+  return {
+    id: crypto.randomBytes(4).toString('hex'),
+    proxy,
+    userAgent: browser.userAgent,
+    browserName: browser.browserName,
+    browserVersion: browser.browserVersion,
+    osName: browser.osName,
+    osVersion: browser.osVersion,
+    visitorData: '',
+    jar: new toughCookie.CookieJar(),
+    requests: 0,
+  };
+}
+
+function isUsable(proxy, now = Date.now()) {
+  return proxy.healthy && proxy.bannedUntil <= now;
+}
+
+// Picks the identity for the next request, going round the proxies that are healthy and not banned.
+// When none are, the healthy proxy whose ban ends first is used so requests still go out
+export function pickIdentity() {
+  const now = Date.now();
+  let proxy;
+  for (let i = 0; i < proxies.length && !proxy; i++) {
+    const candidate = proxies[(nextProxy + i) % proxies.length];
+    if (isUsable(candidate, now)) {
+      proxy = candidate;
+      nextProxy = (nextProxy + i + 1) % proxies.length;
+    }
+  }
+  if (!proxy) {
+    proxy = proxies.slice().sort((a, b) => (a.healthy ? a.bannedUntil : Infinity) - (b.healthy ? b.bannedUntil : Infinity))[0];
+  }
+
+  if (!proxy.identity || proxy.identity.requests >= IDENTITY_MAX_REQUESTS) {
+    proxy.identity = createIdentity(proxy);
+  }
+  return proxy.identity;
+}
+
+// Whether an identity can keep being used, for sources that make several requests as one visitor
+export function isIdentityUsable(identity) {
+  return !!identity && identity.proxy.identity === identity && isUsable(identity.proxy);
+}
+
+// Headers of a request made as an identity, with its user agent and the cookies it holds for the url
+export function identityHeaders(identity, url, headers = {}) {
+  const cookie = identity.jar.getCookieStringSync(url);
+  return {
+    ...generateRandomHeaders(identity.userAgent, new URL(url).host),
+    ...(cookie ? { cookie } : {}),
+    ...headers,
+  };
+}
+
+// Bans a proxy and drops its identity, it starts over with a new user agent and cookies
+function banProxy(proxy, outcome) {
+  proxy.strikes++;
+  proxy.bans++;
+  const delay = PROXY_BAN_TIME * Math.pow(2, Math.min(proxy.strikes - 1, MAX_BAN_DOUBLINGS));
+  proxy.bannedUntil = Date.now() + delay;
+  proxy.identity = undefined;
+  console.error('Banned proxy', proxy.label, 'for', delay, 'ms after', outcome);
+}
+
+// Keeps the cookies a response set and tracks the outcome against the identity's proxy. Requests
+// that got no response at all count as failures of the proxy
+export function recordResponse(identity, url, headers, outcome, error) {
+  const { proxy } = identity;
+  identity.requests++;
+  proxy.requests++;
+
+  const setCookies = headers && headers['set-cookie'];
+  if (setCookies) {
+    [].concat(setCookies).forEach(cookie => identity.jar.setCookieSync(cookie, url, { ignoreError: true }));
+  }
+
+  if (error || outcome === TIMEOUT || outcome === NETWORK) {
+    proxy.failures++;
+    if (proxy.agent && proxy.healthy && proxy.failures >= MAX_PROXY_FAILURES) {
+      proxy.healthy = false;
+      console.error('Proxy keeps failing, skipping it until its next check:', proxy.label);
+    }
+  } else if (outcome === OK) {
+    proxy.strikes = 0;
+    proxy.failures = 0;
+  } else if (identity.proxy.identity === identity) {
+    banProxy(proxy, outcome);
+  }
+}
+
+// Sends an axios request as an identity, through its proxy and with its headers and cookies
+export async function requestAs(identity, config) {
+  const { agent } = identity.proxy;
+  let response;
+  try {
+    response = await axios({
+      ...config,
+      headers: identityHeaders(identity, config.url, config.headers),
+      ...(agent ? { httpAgent: agent, httpsAgent: agent, proxy: false } : {}),
+    });
+  } catch (e) {
+    recordResponse(identity, config.url, e.response && e.response.headers, classifyAxiosError(e), !e.response && e);
+    throw e;
+  }
+
+  recordResponse(identity, config.url, response.headers, classifyOutcome({
+    statusCode: response.status,
+    body: typeof response.data === 'string' ? response.data : undefined,
+  }));
+  return response;
+}
+
+// Sends an axios request as the next identity of the pool
+export function httpRequest(config) {
+  return requestAs(pickIdentity(), config);
+}
+
+async function checkProxy(proxy) {
+  try {
+    const response = await axios.get(healthCheckUrl, {
+      httpAgent: proxy.agent,
+      httpsAgent: proxy.agent,
+      proxy: false,
+      timeout: 10000,
+      validateStatus: () => true,
+    });
+    proxy.healthy = response.status === 204;
+  } catch (e) {
+    proxy.healthy = false;
+  }
+  proxy.checkedAt = new Date();
+  proxy.failures = 0;
+  if (!proxy.healthy) {
+    console.error('Proxy failed its health check:', proxy.label);
+  }
+}
+
+// Checks every proxy and again every PROXY_CHECK_INTERVAL. Does nothing without proxies
+export async function checkProxies() {
+  if (PROXIES.length === 0) {
+    return;
+  }
+
+  setTimeout(() => {
+    checkProxies();
+  }, PROXY_CHECK_INTERVAL);
+  await Promise.all(proxies.map(checkProxy));
+}
+
+// Health, bans and current identity of every proxy, for the stats route
+export function proxyStats() {
+  const now = Date.now();
+  return proxies.map(proxy => ({
+    proxy: proxy.label,
+    healthy: proxy.healthy,
+    bannedUntil: proxy.bannedUntil > now ? new Date(proxy.bannedUntil) : undefined,
+    bans: proxy.bans,
+    requests: proxy.requests,
+    checkedAt: proxy.checkedAt,
+    identity: proxy.identity && {
+      id: proxy.identity.id,
+      userAgent: proxy.identity.userAgent,
+      requests: proxy.identity.requests,
+      hasVisitorData: !!proxy.identity.visitorData,
+    },
+  }));
+}
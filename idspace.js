@@ -0,0 +1,156 @@
+import crypto from 'crypto';
+import { idStrategyAttempts, idStrategyHits } from './metrics.js';
+
+// Video IDs are 64 bit numbers written as 11 characters of URL safe base64. The last character
+// only carries the remaining 4 bits, so it is one of 16 characters
+export const ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+export const FINAL_CHARS = 'AEIMQUYcgkosw048';
+const videoIdRegex = /^[A-Za-z0-9_-]{10}[AEIMQUYcgkosw048]$/;
+
+// Share of random IDs generated under prefixes that prefix searches found videos under
+const ID_PREFIX_BIAS = parseFloat(process.env.ID_PREFIX_BIAS || 0);
+
+// Length of new prefixes searched for, mined prefixes get longer as they keep finding videos
+const ID_PREFIX_LENGTH = parseInt(process.env.ID_PREFIX_LENGTH || 2, 10);
+const MAX_PREFIX_LENGTH = 6;
+const MAX_MINED_PREFIXES = 1000;
+
+// Ways of finding video IDs, their yield is how many new videos an attempt finds on average:
+// random checks random IDs, prefix checks random IDs under mined prefixes and prefix-search
+// searches DuckDuckGo for watch urls starting with a prefix, an attempt being a result page
+export const RANDOM = 'random';
+export const PREFIX = 'prefix';
+export const PREFIX_SEARCH = 'prefix-search';
+
+const strategyStats = {
+  [RANDOM]: { attempts: 0, hits: 0 },
+  [PREFIX]: { attempts: 0, hits: 0 },
+  [PREFIX_SEARCH]: { attempts: 0, hits: 0 },
+};
+
+// Searches and finds per prefix, in the order they were last searched
+const minedPrefixes = new Map();
+
+export function isValidVideoId(videoId) {
+  return videoIdRegex.test(videoId);
+}
+
+export function randomIdChar() {
+  return ID_ALPHABET[crypto.randomInt(0, ID_ALPHABET.length)];
+}
+
+// Generates a structurally valid video ID starting with prefix
+export function randomVideoId(prefix = '') {
+  let videoId = prefix.substr(0, 10);
+  while (videoId.length < 10) {
+    videoId += randomIdChar();
+  }
+  return videoId + FINAL_CHARS[crypto.randomInt(0, FINAL_CHARS.length)];
+}
+
+// Mined prefixes that found new videos, weighted by how many they found per search
+function productivePrefixes() {
+  const productive = [];
+  minedPrefixes.forEach((stats, prefix) => {
+    if (stats.added > 0) {
+      productive.push({ prefix, weight: stats.added / stats.searches });
+    }
+  });
+  return productive;
+}
+
+function pickWeighted(items) {
+  const total = items.reduce((sum, item) => sum + item.weight, 0);
+  let target = Math.random() * total;
+  for (let i = 0; i < items.length; i++) {
+    target -= items[i].weight;
+    if (target <= 0) {
+      return items[i];
+    }
+  }
+  return items[items.length - 1];
+}
+
+// Picks the ID for the next random check and the strategy it counts towards. With ID_PREFIX_BIAS
+// set, that share of IDs starts with a prefix that prefix searches found videos under
+export function nextRandomId() {
+  const productive = productivePrefixes();
+  if (productive.length > 0 && Math.random() < ID_PREFIX_BIAS) {
+    return { videoId: randomVideoId(pickWeighted(productive).prefix), strategy: PREFIX };
+  }
+  return { videoId: randomVideoId(), strategy: RANDOM };
+}
+
+// Picks the prefix for the next prefix search. Half of the time a productive prefix is mined
+// one character deeper, where the search engine shows IDs it left out for the shorter prefix
+export function nextSearchPrefix() {
+  const productive = productivePrefixes()
+    .filter(({ prefix }) => prefix.length < MAX_PREFIX_LENGTH);
+  if (productive.length > 0 && Math.random() < 0.5) {
+    return pickWeighted(productive).prefix + randomIdChar();
+  }
+
+  let prefix = '';
+  while (prefix.length < ID_PREFIX_LENGTH) {
+    prefix += randomIdChar();
+  }
+  return prefix;
+}
+
+// Records how many IDs a page of prefix search results had and how many were new videos
+export function recordPrefixSearch(prefix, found, added) {
+  const stats = minedPrefixes.get(prefix) || { searches: 0, found: 0, added: 0 };
+  stats.searches++;
+  stats.found += found;
+  stats.added += added;
+
+  // Recently searched prefixes go to the end, the least recent ones are forgotten first
+  minedPrefixes.delete(prefix);
+  minedPrefixes.set(prefix, stats);
+  if (minedPrefixes.size > MAX_MINED_PREFIXES) {
+    minedPrefixes.delete(minedPrefixes.keys().next().value);
+  }
+  recordAttempt(PREFIX_SEARCH, added);
+}
+
+// Mined prefixes and their stats, least recently searched first
+export function minedPrefixEntries() {
+  return [...minedPrefixes.entries()];
+}
+
+// Adds saved mined prefixes in front of the ones searched since
+export function restoreMinedPrefixes(entries) {
+  const searched = [...minedPrefixes.entries()];
+  minedPrefixes.clear();
+  entries.concat(searched).slice(-MAX_MINED_PREFIXES).forEach(([prefix, stats]) => {
+    minedPrefixes.delete(prefix);
+    minedPrefixes.set(prefix, stats);
+  });
+}
+
+// Counts an attempt of a strategy and the new videos it found
+export function recordAttempt(strategy, hits = 0) {
+  strategyStats[strategy].attempts++;
+  strategyStats[strategy].hits += hits;
+  idStrategyAttempts.inc({ strategy });
+  if (hits > 0) {
+    idStrategyHits.inc({ strategy }, hits);
+  }
+}
+
+// Attempts, hits and yield of each strategy plus the most productive mined prefixes
+export function idSpaceStats() {
+  const strategies = {};
+  Object.keys(strategyStats).forEach(strategy => {
+    const { attempts, hits } = strategyStats[strategy];
+    strategies[strategy] = { attempts, hits, yield: attempts > 0 ? hits / attempts : 0 };
+  });
+
+  return {
+    strategies,
+    prefixes: productivePrefixes()
+      .sort((a, b) => b.weight - a.weight)
+      .slice(0, 20)
+      .map(({ prefix }) => ({ prefix, ...minedPrefixes.get(prefix) })),
+  };
+}
@@ -1,17 +1,41 @@
-import { MongoClient } from 'mongodb';
 import Crawler from 'crawler';
 import dotenv from 'dotenv';
-import axios from 'axios';
 import crypto from 'crypto';
-import path from 'path';
-import fs from 'fs';
-import xmlParser from 'fast-xml-parser';
 import Fastify from 'fastify';
-import qs from 'qs';
-import cheerio from 'cheerio';
 import { URL } from 'url';
-import randomUseragent from 'random-useragent';
-import { searchYoutube, getQuerySuggestions } from './innertube.js';
+import { Readable } from 'stream';
+import { pickIdentity, identityHeaders, recordResponse, checkProxies, proxyStats } from './http.js';
+import { parseWatchPage } from './watchpage.js';
+import { extractPlaylistIds, buildPlaylistUri, playlistIdFromUri, fetchPlaylist, storePlaylist, ensurePlaylistIndices } from './playlists.js';
+import { createFrontier, DONE, FAILED, SKIPPED } from './frontier.js';
+import { createRateController, classifyOutcome, OK } from './ratelimit.js';
+import { searchQuerySchema } from './search.js';
+import { analyzeVideo } from './text.js';
+import { ensureCaptionIndices, harvestCaptions, searchTranscripts } from './captions.js';
+import { ensureRelationIndices } from './relations.js';
+import { ensureEngagementIndices } from './engagement.js';
+import { ensureThumbnailIndices, findSimilar, findDuplicateClusters, similarQuerySchema, duplicatesQuerySchema } from './thumbnails.js';
+import { buildInnertubeRequest, rememberVisitorData } from './innertube.js';
+import { invalidateInnertubeConfig, innertubeConfigStats } from './innertube-session.js';
+import { createStore } from './store.js';
+import { exportChunks, exportQuerySchema, exportFormats } from './exporter.js';
+import { ensureChannelIndices, recordChannel, channelIdFromUrl, channelListSchema } from './channels.js';
+import { createScheduler, loadSourceModules } from './scheduler.js';
+import { adminRoutes, requireToken } from './admin.js';
+import { ensureHistoryIndices, recordAvailability, recordWatchPage, availabilityFromStatus, initialRefreshAt, getVideoHistory, historyQuerySchema, UNAVAILABLE } from './history.js';
+import { renderMetrics, gauge, oembedResponses, oembedStatusLabel, videosDiscovered, randomIdChecks, randomIdHits, dbWriteDuration } from './metrics.js';
+import { recordAttempt, idSpaceStats, RANDOM } from './idspace.js';
+import { localeStats } from './locales.js';
+import { createRandomIdSource } from './sources/random-id.js';
+import { createSearchEngineSources } from './sources/search-engine.js';
+import { createWebSource } from './sources/web.js';
+import { createYoutubeSearchSource } from './sources/youtube-search.js';
+import { createUnknownDetailsSource } from './sources/unknown-details.js';
+import { createChannelFeedsSource } from './sources/channel-feeds.js';
+import { createRefreshSource } from './sources/refresh.js';
+import { createRelatedSource } from './sources/related.js';
+import { createEnrichmentSource } from './sources/enrichment.js';
+import { createThumbnailsSource } from './sources/thumbnails.js';
 
 // Load config from .env
 dotenv.config({ path: './.env' });
@@ -19,422 +43,441 @@ dotenv.config({ path: './.env' });
 // Numerical ID of this instance in cluster mode or 0 otherwise
 const clusterInstanceId = parseInt(process.env.NODE_APP_INSTANCE || 0, 10);
 
-// Load words list for random searches
-const wordsList = fs.readFileSync('./words.txt', {encoding: 'utf8', flag: 'r'}).split('\n');
-const wordsListCount = wordsList.length;
-
-// Random timeout for searches to spread requests across instances
-const YOUTUBE_TIMEOUT_MIN = parseInt(process.env.YOUTUBE_TIMEOUT_MIN || 500, 10);
-const youtubeSearchTimeout = () => Math.floor(YOUTUBE_TIMEOUT_MIN + Math.random() * YOUTUBE_TIMEOUT_MIN);
-const duckSearchTimeout = (rateLimited) => Math.floor(20000 + Math.random() * 30000) + (rateLimited ? 60000 : 0);
-const FULL_INFO_GATHER_TIMEOUT = process.env.FULL_INFO_GATHER_TIMEOUT || 250 + (500 * Math.random() * clusterInstanceId);
-
-// Connection URL
-const url = process.env.MONGODB_URI;
-const client = new MongoClient(url, {
-  maxPoolSize: 3,
-  minPoolSize: 1,
-});
-
-const dbName = 'yt-indexer'; // Database Name
-const urlCountMax = 50000; // Max urls to store until cache reset
-
-// Regex to extract all YouTube urls
-const ytUrlRegex = /(https?:\/\/([^=]*)youtu([^=]*)[^ ]*)/g;
-
-// Regex to extract YouTube video IDs
-const ytVideoIDRegex = /.*(?:youtu.be\/|v\/|u\/\w\/|embed\/|watch\?v=)([^#\&\?]*).*/;
-
-let crawledURIs = []; // In memory cache of crawled URIs
-let skipAddingNew = false;
+const PLAYLIST_RECRAWL_AFTER = 7 * 24 * 60 * 60 * 1000; // Crawl playlists for new videos at most weekly
+
+// How many times a frontier uri is tried before it is marked failed instead of going back into the frontier
+const MAX_CRAWL_ATTEMPTS = parseInt(process.env.MAX_CRAWL_ATTEMPTS || 10, 10);
+
+// How long shutting down waits for the crawler que to drain and for video writes to finish
+const SHUTDOWN_TIMEOUT = parseInt(process.env.SHUTDOWN_TIMEOUT || 10000, 10);
+
+// Each cluster instance saves its own checkpoint, which it takes back when it starts with the same id
+const checkpointKey = `instance-${clusterInstanceId}`;
+
+let store; // Videos, queries and the frontier in the database selected by STORE, created in main
+let frontier; // Shared set of queued and crawled URIs, created in main
+
+// Only set on the mongodb store, the features using them are turned off otherwise
+let videosCollection;
+let channelsCollection;
+let playlistsCollection;
+let historyCollection; // View count snapshots and availability transitions of videos
+let captionsCollection; // Caption tracks of videos, also needs ENABLE_CAPTIONS
+let relationsCollection; // Edges from videos to their related videos
+let relatedQueueCollection; // Videos waiting to have their related videos walked
+let engagementCollection; // Like and comment counts, chapters and hashtags of videos
+let commentsCollection; // Top level comments of videos
+let thumbnailsCollection; // Perceptual hashes of video thumbnails
+let rateController; // Tracks throttling per host, created in main
+let scheduler; // Runs the discovery sources, created in main
+let drainMode; // Set while the crawler que is being drained: 'requeue' or 'skip'
+let shuttingDown = false;
+const pendingURIs = new Map(); // Frontier uris in the crawler que, with their priority and type
+const pendingWrites = new Set(); // Video writes in flight, awaited when shutting down
 let failedCounter = 0;
 let urlCounter = 0;
-const suggestedQueries = [];
-const ytQueryCache = [];
 
 // Start web server for reporting
 const fastify = Fastify({
   logger: false
 });
 
-// Generates a psuedo-random b64 char
-const baseAlphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
-function randomChar() {
-  return baseAlphabet[crypto.randomInt(0, 64)];
+// Puts a uri into the crawler que. The identity it is sent as is picked when the que reaches it,
+// the session object carries it over to the response
+function queueURI(crawler, uri, priority = 5, requestOptions = {}) {
+  pendingURIs.set(uri, { priority, type: requestOptions.frontierType });
+  crawler.queue({
+    uri,
+    priority,
+    ...requestOptions,
+    session: {},
+  });
 }
 
-// Generates a psuedo-random video ID
-function randomVideoId() {
-  const vidId = [
-    randomChar(), randomChar(), randomChar(), randomChar(),
-    randomChar(), randomChar(), randomChar(), randomChar(),
-    randomChar(), randomChar(), randomChar(),
-  ];
-  return vidId.join('');
+// Puts an innertube request into the crawler que so it shares the crawler's rate limits. These
+// aren't kept in the frontier, onResponse gets the parsed JSON of successful responses. The request
+// is built again when it is sent, with the current config and the context of the identity sending it
+function queueInnertube(crawler, endpoint, body, priority, onResponse, client = 'WEB') {
+  crawler.queue({
+    ...buildInnertubeRequest(endpoint, body, undefined, client),
+    method: 'POST',
+    priority,
+    skipFrontier: true,
+    session: {},
+    innertube: { endpoint, body, client },
+    callback: (error, res, done) => {
+      onInnertubeResponse(error, res, onResponse);
+      done();
+    },
+  });
 }
 
-// Puts a uri into crawl que and cache
-function crawlURI(crawler, uri, priority = 5, requestOptions = {}) {
-  if (crawledURIs.indexOf(uri) === -1) {
-    crawledURIs.push(uri);
-
-    if (!process.env.DISABLE_METADATA_GATHER) {
-      crawler.queue(uri, {
-        priority,
-        ...requestOptions,
-        headers: generateRandomHeaders(null, 'www.youtube.com'),
-      });
+function onInnertubeResponse(error, res, onResponse) {
+  try {
+    const { uri, session } = res.options;
+    const isJSON = typeof res.body === 'string' && res.body.substr(0, 1) === '{';
+    const outcome = classifyOutcome({
+      error,
+      statusCode: res.statusCode,
+      body: isJSON ? undefined : res.body, // JSON can mention the captcha markers anywhere
+      finalHost: res.request && res.request.uri && res.request.uri.host,
+    });
+    rateController.report(new URL(uri).host, outcome).catch(console.error);
+    recordResponse(session.identity, uri, res.headers, outcome, error);
+    if (res.statusCode === 400 || res.statusCode === 403) {
+      invalidateInnertubeConfig();
+    }
+    if (error || outcome !== OK || res.statusCode !== 200 || !isJSON) {
+      console.error('Innertube request failed:', error ? error.message : `${outcome} ${res.statusCode}`, uri);
+      return;
     }
 
-    return true;
+    const data = JSON.parse(res.body);
+    rememberVisitorData(session.identity, data);
+    Promise.resolve(onResponse(data)).catch(console.error);
+  } catch (e) {
+    console.error(e);
   }
-
-  return false;
 }
 
-function buildVideoUri(videoId) {
-  return `https://www.youtube.com/watch?v=${videoId}`;
-}
-
-function cleanYTUri(uri) {
-  return uri.replace('https://www.youtube.com/oembed?url=', '').replace('&format=json', '');
-}
+// Puts a uri into the frontier and, if no instance has seen it yet, into the crawl que
+async function crawlURI(crawler, uri, priority = 5, requestOptions = {}, frontierOptions = {}) {
+  if (!(await frontier.add(uri, { priority, ...frontierOptions }))) {
+    return false;
+  }
 
-function generateRandomHeaders(userAgent, origin = '') {
-  return {
-    'content-type': 'application/x-www-form-urlencoded',
-    'user-agent': userAgent || randomUseragent.getRandom(),
-    'authority': origin,
-    'cache-control': 'max-age=0',
-    'origin': `https://${origin}`,
-    'upgrade-insecure-requests': '1',
-    'dnt': '1',
-    'accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.9',
-    'sec-fetch-site': 'same-origin',
-    'sec-fetch-mode': 'navigate',
-    'sec-fetch-user': '?1',
-    'sec-fetch-dest': 'document',
-    'referer': `https://${origin}/`,
-    'accept-language': 'en-GB,en-US;q=0.9,en;q=0.8',
-    'sec-gpc': '1',
-  };
-}
+  if (process.env.DISABLE_METADATA_GATHER) {
+    await frontier.complete(uri, SKIPPED);
+  } else {
+    queueURI(crawler, uri, priority, { ...requestOptions, frontierType: frontierOptions.type });
+  }
 
-// This method fires every so often to gather full video information from youtube for unknown videos
-// since the rate limits kick in often for non-oembed urls, we have to stagger full info requests
-async function gatherVideoDetails(crawler, videosCollection) {
-  // Crawl again later
-  const videoCount = 4;
-  setTimeout(() => {
-    gatherVideoDetails(crawler, videosCollection);
-  }, videoCount * 2 * FULL_INFO_GATHER_TIMEOUT);
-
-  console.log('Gathering video details for unknown titles/descriptions...');
-  const unknownVideos = await videosCollection.find({
-    $and: [{
-      $or: [
-        { title: null },
-        { title: '' },
-      ]
-    }, {
-      $or: [
-        { description: null },
-        { description: '' },
-      ]
-    }]
-  }).limit(videoCount).toArray();
-
-  let addedCount = 0;
-  unknownVideos.forEach((video, i) => {
-    if (crawlURI(crawler, video.uri, 0, {
-      timeout: i * FULL_INFO_GATHER_TIMEOUT,
-    })) {
-      addedCount++;
-    }
-  });
-  console.log('Added', addedCount, 'full meta urls to crawl');
+  return true;
 }
 
-// Takes a video ID (or generates a random one) and creates an oembed URI that we can use
-// to gather public metadata of the video. Then it will insert the URI into the crawler que
-function crawlYTVideo(crawler, videosCollection, id, highPriority = 1) {
-  let didCrawl = false;
-
-  // If queue is already processing quite a few requests then dont generate
-  // random videos URIs. Set a timeout to check again later
-  if (!id && (skipAddingNew || crawler.queueSize > 64)) {
-    // console.log('Queue size too large, skipping random video ID generation');
-    setTimeout(() => {
-      crawlYTVideo(crawler, videosCollection);
-    }, 5000);
-    return;
+// Queues a uri again even if it has been crawled before, resolves false if it is already queued
+async function recrawlURI(crawler, uri) {
+  try {
+    new URL(uri);
+  } catch (e) {
+    console.error('Not recrawling invalid uri:', uri);
+    return false;
   }
 
-  // We use oembed here to check if a YouTube video is valid, and if so get some basic info
-  const videoUri = buildVideoUri(id || randomVideoId());
-  const url =  `https://www.youtube.com/oembed?url=${videoUri}&format=json`;
-  if (id) { // Insert known ID with a high priority (1) to the crawler
-    if (crawledURIs.indexOf(url) !== -1) { // Early out if already crawled/crawling
-      return;
-    }
-
-    // Check video URI doesnt exist in database with information before adding to crawler
-    const videoUri = cleanYTUri(url);
-
-    // Insert video uri incase of program exit so that valid URL is saved somewhere
-    insertVideo(videosCollection, { uri: videoUri });
-    didCrawl = crawlURI(crawler, url, highPriority);
-  } else {
-    // Insert with random priority so that we can still process
-    // some random URIs even if random search is producing alot of results
-    didCrawl = crawlURI(crawler, url, crypto.randomInt(highPriority, 3));
+  const type = uri.indexOf('/playlist?') !== -1 ? 'playlist' : (uri.indexOf('/oembed?') !== -1 ? 'video' : 'watch');
+  if (!(await frontier.add(uri, { type, priority: 0, recrawlAfter: 0 }))) {
+    return false;
   }
 
-  // ID wasnt provided, assuming wanting to continue the random
-  // generation infinite loop
-  if (!id) {
-    setTimeout(() => {
-      crawlYTVideo(crawler, videosCollection);
-    }, 50);
+  if (type === 'playlist') {
+    crawlPlaylist(crawler, uri, 'recrawl');
+  } else {
+    queueURI(crawler, uri, 0, { frontierType: type });
   }
-
-  return didCrawl;
+  return true;
 }
 
-// Gets suggestions and adds them to the suggested query list
-async function crawlSuggestions(query) {
-  console.log('Crawling suggestions', query)
-  try {
-    const suggestions = await getQuerySuggestions(query);
-    if (suggestions.length > 0 && suggestedQueries.length === 0) {
-      for (let i = 0; i < suggestions.length; i++) {
-        if (suggestedQueries.indexOf(suggestions[i]) === -1) {
-          suggestedQueries.push(suggestions[i]);
-        }
-      }
-    }
-  } catch (e) {
-    console.error('Unable to get suggestions:', e.message)
+// Drops everything waiting in the crawler que. Requests are aborted as the que reaches them
+// and either released back to the frontier or marked as skipped
+function drainQueue(crawler, requeue = true) {
+  if (crawler.queueSize > 0) {
+    drainMode = requeue ? 'requeue' : 'skip';
+    console.log('Draining crawler queue of', crawler.queueSize, 'requests');
   }
 }
 
-// Searches a query string on youtube and adds to crawler
-async function addFromYoutubeSearch(crawler, videosCollection, randomQueryString, highPriority, hasSuggestedQuery) {
-  // Already crawled this recently
-  if (ytQueryCache.indexOf(randomQueryString) !== -1) {
-    return;
+// Sends a request as the next identity, through its proxy and with its user agent and cookies
+function prepareRequest(options) {
+  const identity = pickIdentity();
+  options.session.identity = identity;
+  options.agent = identity.proxy.agent;
+  if (options.innertube) {
+    const { endpoint, body, client } = options.innertube;
+    Object.assign(options, buildInnertubeRequest(endpoint, body, identity, client));
   }
+  options.headers = identityHeaders(identity, options.uri, options.headers);
+}
 
-  console.log('Searching YouTube for:', randomQueryString);
-
-  // Try get query suggestions for extra search queries
-  if (!process.env.DISABLE_SUGGESTIONS && !hasSuggestedQuery && suggestedQueries.length === 0) {
-    crawlSuggestions(randomQueryString);
-  }
+// Picks up queued frontier entries whose claim expired, which happens when an instance
+// restarts or dies with URIs still in its crawler que, and crawls them on this instance
+async function resumeFrontier(crawler) {
+  setTimeout(() => {
+    resumeFrontier(crawler);
+  }, 30000);
 
-  // Ensure we dont crawl again
-  ytQueryCache.push(randomQueryString);
-  if (ytQueryCache.length > 20000) {
-    ytQueryCache.length = 0;
+  if (shuttingDown || scheduler.isBackpressured() || crawler.queueSize > 64) {
+    return;
   }
 
-  // Search youtube for this query string
   try {
-    let addedCount = 0;
-    const videoList = await searchYoutube(randomQueryString);
-    for (let i = 0; i < videoList.length; i++) {
-      const videoId = videoList[i];
-      if (videoId) {
-        if (crawlYTVideo(crawler, videosCollection, videoId, highPriority)) {
-          addedCount++;
-        }
+    const entries = await frontier.claim(32);
+    entries.forEach(({ uri, type, priority, attempts }) => {
+      if (type === 'rss') { // Channel feeds are polled by the channel scheduler now
+        frontier.complete(uri, SKIPPED).catch(console.error);
+      } else if (type === 'playlist') {
+        crawlPlaylist(crawler, uri, 'resume');
+      } else {
+        queueURI(crawler, uri, priority, { frontierType: type, attempts });
       }
+    });
+
+    if (entries.length > 0) {
+      console.log('Resumed', entries.length, 'abandoned frontier urls');
     }
-    console.log('Added', addedCount, 'videos with query', randomQueryString);
   } catch (e) {
-    console.error('Unable to crawl random search:', e.message)
+    console.error('Unable to resume frontier:', e.message);
   }
 }
 
-// Gets a random word from the dictionary and searches it with the
-// innertube API. It will add the video uris to the crawler que at high priority
-async function crawlRandomYTSearch(crawler, videosCollection, queriesCollection) {
-  // Set skip adding new if que is too large until its nearly all been processed
-  if (!skipAddingNew && crawler.queueSize > 256) {
-    skipAddingNew = true;
-  } else if (skipAddingNew && crawler.queueSize <= 4) {
-    skipAddingNew = false;
-  }
-
-  // Set to fire this method again soon
-  setTimeout(() => {
-    crawlRandomYTSearch(crawler, videosCollection, queriesCollection);
-  }, youtubeSearchTimeout());
-
-  // If que is growing too fast, dont perform more random searches
-  if (!skipAddingNew) {
-    const manualQuery = await getManualQuery(queriesCollection);
-    const hasSuggestedQuery = suggestedQueries.length > 0;
-    const queryString = manualQuery ?
-      manualQuery :
-      (
-        hasSuggestedQuery ?
-          suggestedQueries.pop() : // Get suggested query
-          wordsList[crypto.randomInt(0, wordsListCount)] // Get random word
-      );
-    await addFromYoutubeSearch(crawler, videosCollection, queryString, undefined, hasSuggestedQuery);
-  } else {
-    console.log('Queue size too large, skipping youtube video search');
-  }
+// Resolves once the crawler que is empty, or after ms if it doesn't get there
+function waitForDrain(crawler, ms) {
+  return new Promise(resolve => {
+    if (crawler.queueSize === 0) {
+      resolve();
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    crawler.once('drain', () => {
+      clearTimeout(timer);
+      resolve();
+    });
+  });
 }
 
-async function crawlRandomDuckDuckGoSearch(crawler, videosCollection, nextRequest = {
-  q: 'site:youtube.com/watch?v=' + randomChar(),
-}) {
-  // Should we skip searches to let the que process?
-  if (skipAddingNew) {
-    setTimeout(() => {
-      crawlRandomDuckDuckGoSearch(crawler, videosCollection, nextRequest);
-    }, duckSearchTimeout());
+// Stops the sources, drains the crawler que back into the frontier and saves the sources' state,
+// then closes the server and the store
+async function shutdown(crawler, signal) {
+  if (shuttingDown) {
     return;
   }
+  shuttingDown = true;
+  console.log(`Received ${signal}, shutting down...`);
 
-  // Fire off a POST request to DuckDuckGo's HTML site with prebuilt params or a random query
-  let data;
-  let userAgent;
-  let isRateLimited = false;
+  let exitCode = 0;
   try {
-    console.log('Searching DuckDuckGo for:', nextRequest.q, nextRequest.s)
-    data = (await axios({
-      method: 'POST',
-      url: 'https://html.duckduckgo.com/html/',
-      headers: generateRandomHeaders(nextRequest.userAgent, 'html.duckduckgo.com'),
-      data: qs.stringify(nextRequest),
-    })).data;
+    await scheduler.stop();
+
+    // Requests are released as the que reaches them, the ones it doesn't reach in time are released
+    // here. The frontier is the only place queued uris are kept, any instance can claim them again
+    const queuedCount = pendingURIs.size;
+    drainMode = 'requeue';
+    await waitForDrain(crawler, SHUTDOWN_TIMEOUT);
+    await Promise.all([...pendingURIs.keys()].map(uri => frontier.release(uri)));
+    console.log('Released', queuedCount, 'queued urls to the frontier');
+
+    await store.checkpoints.save(checkpointKey, {
+      savedAt: new Date(),
+      sources: scheduler.checkpoint(),
+    });
+    console.log('Saved checkpoint');
+
+    await Promise.race([
+      Promise.allSettled([...pendingWrites]),
+      new Promise(resolve => setTimeout(resolve, SHUTDOWN_TIMEOUT)),
+    ]);
+    await fastify.close();
+    await store.close();
   } catch (e) {
-    console.error('Unable to ping duckduckgo, error:', e.message, e.data);
-    isRateLimited = true;
+    console.error('Unable to shut down cleanly:', e.message);
+    exitCode = 1;
   }
+  process.exit(exitCode);
+}
 
-  let nextRequestData;
-  if (data) {
-    // Parse HTML contents with cheerio to extract next request data
-    const $ = cheerio.load(data);
-    const nextFormInputFields = $('form[action=\'/html/\'] :input[type=hidden]');
-
-    if (nextFormInputFields && nextFormInputFields.length > 0) {
-      nextRequestData = { userAgent };
-      nextFormInputFields.map((index) => {
-        const field = nextFormInputFields[index].attribs;
-        nextRequestData[field.name] = field.value;
-      });
-    }
+// Gives the sources their state saved on the last shutdown. The uris that were queued went back
+// into the frontier when shutting down, resumeFrontier claims them like any other released uri
+async function restoreCheckpoint() {
+  const checkpoint = await store.checkpoints.take(checkpointKey);
+  if (!checkpoint) {
+    return;
+  }
 
-    // Extract all youtube video IDs from HTML
-    // then adds the known video IDs to the crawler
-    const ytUrlMatches = data.match(ytUrlRegex);
-    if (ytUrlMatches) {
-      const videoIds = ytUrlMatches.map(url => {
-        const urlIdMatches = url.match(ytVideoIDRegex);
-        if (urlIdMatches && urlIdMatches.length >= 2) {
-          const videoId = urlIdMatches[1].substr(0, 11);
-          return videoId;
-        }
-      })
-      .filter((url, index, self) => self.indexOf(url) === index);
-
-      // Consider these URLS as highest priority (0)
-      let addedCount = 0;
-      videoIds.forEach(videoId => {
-        if (crawlYTVideo(crawler, videosCollection, videoId, 0)) {
-          addedCount++;
-        }
+  scheduler.restore(checkpoint.sources);
+  console.log('Restored checkpoint from', checkpoint.savedAt);
+}
+
+function buildVideoUri(videoId) {
+  return `https://www.youtube.com/watch?v=${videoId}`;
+}
+
+// We use oembed to check if a YouTube video is valid, and if so get some basic info
+function buildOembedUri(videoUri) {
+  return `https://www.youtube.com/oembed?url=${videoUri}&format=json`;
+}
+
+function cleanYTUri(uri) {
+  return uri.replace('https://www.youtube.com/oembed?url=', '').replace('&format=json', '');
+}
+
+// Takes a video ID and creates an oembed URI that we can use to gather
+// public metadata of the video. Then it will insert the URI into the crawler que.
+// The source is the name of whatever discovered the video, for metrics. The locale it searched in
+// and the page that linked to the video are kept on videos it found first
+async function crawlYTVideo(crawler, id, highPriority = 1, source = 'other', locale, referrerUrl) {
+  const videoUri = buildVideoUri(id);
+  try {
+    const didCrawl = await crawlURI(crawler, buildOembedUri(videoUri), highPriority);
+
+    // Insert video uri incase of program exit so that valid URL is saved somewhere,
+    // skipped when the frontier already knows about it
+    if (didCrawl) {
+      videosDiscovered.inc({ source });
+      insertVideo({ uri: videoUri }, {
+        ...(locale ? { discoveryLocale: locale } : {}),
+        ...(referrerUrl ? { referrerUrl } : {}),
       });
-      console.log('Added', addedCount, 'duck videos');
-    } else {
-      console.error('Unable to parse duck YT matches, assuming no more results. Switching query...');
-      nextRequestData = undefined;
     }
+    return didCrawl;
+  } catch (e) {
+    console.error('Unable to add video to frontier:', e.message);
+    return false;
   }
+}
 
-  // Wait a bit before searching next page
-  setTimeout(() => {
-    crawlRandomDuckDuckGoSearch(crawler, videosCollection, nextRequestData);
-  }, duckSearchTimeout(isRateLimited));
+// Checks a randomly generated video ID with oembed, nothing is stored unless it exists
+async function crawlRandomYTVideo(crawler, id, strategy = RANDOM) {
+  try {
+    // Insert with random priority so that we can still process
+    // some random URIs even if random search is producing alot of results
+    return await crawlURI(crawler, buildOembedUri(buildVideoUri(id)), crypto.randomInt(1, 3), { idStrategy: strategy }, { type: 'random' });
+  } catch (e) {
+    console.error('Unable to add video to frontier:', e.message);
+    return false;
+  }
 }
 
-const englishPunctuationRegex = /[!"#$%&'()*+,-./:;<=>?@[\]^_`{|}~]/g;
-import {nGram} from 'n-gram'
+// Inserts a video from search results with the metadata the result carries
+// and marks its oembed uri as done so it isn't crawled again
+async function indexSearchVideo(result, source = 'youtube-search', locale) {
+  const videoUri = buildVideoUri(result.videoId);
+  const url = buildOembedUri(videoUri);
+  if (!(await frontier.add(url))) {
+    return false;
+  }
 
-function performLanguageFilter(str, maxWords = 16, maxNGrams = 8) {
-  const filteredStr = str.split(' ')
-    .filter(w => w.length > 2)
-    .slice(0, maxWords)
-    .map(w => w.trim().toLowerCase().replace(englishPunctuationRegex, ''))
-    .join(' ');
+  videosDiscovered.inc({ source });
+  await frontier.complete(url, DONE, { source: 'search' });
 
-  const ngrams = nGram(4)(filteredStr)
-    .map(w => w.trim().replace(' ', ''))
-    .filter(w => w.length > 2)
-    .slice(0, maxNGrams);
+  // Search results only carry a snippet of the description, the watch page is left queued in
+  // the frontier for resumeFrontier to crawl the full details when the crawler has room
+  if (!process.env.DISABLE_METADATA_GATHER && await frontier.add(videoUri, { type: 'watch' })) {
+    await frontier.release(videoUri);
+  }
 
-  return [...filteredStr.split(' '), ...ngrams];
+  insertVideo({
+    uri: videoUri,
+    title: result.title,
+    authorName: result.channelName,
+    authorUrl: result.channelId ? `https://www.youtube.com/channel/${result.channelId}` : undefined,
+    description: result.descriptionSnippet || undefined,
+    lengthSeconds: result.lengthSeconds,
+    viewCount: result.viewCount,
+  }, locale ? { discoveryLocale: locale } : {});
+  return true;
 }
 
-async function insertVideo(videosCollection, data, crawler) {
+// Writes a video, tracking the write so shutting down can wait for it. Fields of onInsert are
+// only set when the video is new
+function insertVideo(data, onInsert = {}) {
+  const write = writeVideo(data, onInsert);
+  pendingWrites.add(write);
+  return write.finally(() => pendingWrites.delete(write));
+}
+
+async function writeVideo(data, onInsert = {}) {
   const { uri, authorUrl, title, description, authorName } = data;
 
-  // Perform language filtering on title, description and author
-  // to build a fuzzy words list based on ngrams and importance sampled
-  // words in each string. This is indexed as text in the DB for searches later
-  const titleWords = title ? performLanguageFilter(title, 4) : [];
-  const descriptionWords = description ? performLanguageFilter(description, 8) : [];
-  const authorWords = authorName ? performLanguageFilter(authorName, 3, 0) : [];
-  const fuzzyWords = [...authorWords, ...titleWords, ...descriptionWords].slice(0, 64).join(' ');
   const dbData = {
     ...data,
     uri,
+    updatedAt: new Date(), // Incremental exports pick up videos changed since their last run
   };
 
-  // Assign fuzzy words property if they exist
-  if (fuzzyWords.length > 0) {
-    dbData.fuzzyWords = fuzzyWords;
+  // Detect the language of the video and build the search terms of its title, author and
+  // description, which are indexed as separately weighted text fields for searches later
+  if (title || description || authorName) {
+    Object.assign(dbData, analyzeVideo(data));
   }
 
-  // Try insert the document
+  // Try insert the document, keeping the previous author to tell if the channel gained a video
+  let previous;
+  const endTimer = dbWriteDuration.startTimer();
   try {
-    await videosCollection.updateOne({ uri }, {
-      $set: dbData,
-    }, { upsert: true });
+    previous = await store.videos.upsert(dbData, {
+      ...onInsert,
+      ...(historyCollection ? { nextRefreshAt: initialRefreshAt() } : {}),
+    });
+    endTimer();
   } catch (e) {
     console.error(e);
+    return;
   }
 
-  // Get RSS feed of channel and crawl their videos
-  const ytChannelStr = 'https://www.youtube.com/channel/';
-  if (!process.env.DISABLE_CHANNEL_CRAWL && crawler && authorUrl && !skipAddingNew && authorUrl.substr(0, ytChannelStr.length) === ytChannelStr) {
-    const channelId = authorUrl.substr(ytChannelStr.length);
-    const rssUri = `https://www.youtube.com/feeds/videos.xml?channel_id=${channelId}`;
-    if (crawledURIs.indexOf(rssUri) === -1) {
-      crawledURIs.push(rssUri);
-      axios.get(rssUri)
-        .then(feedResponse => {
-          const { feed } = xmlParser.parse(feedResponse.data, {});
-          const videoCount = feed.entry.length;
-          if (videoCount !== undefined && videoCount > 0) {
-            let addedCount = 0;
-            for (let i = 0; i < videoCount; i++) {
-              const feedItem = feed.entry[i];
-              if (feedItem && feedItem['yt:videoId']) {
-                if (crawlYTVideo(crawler, videosCollection, feedItem['yt:videoId'])) {
-                  addedCount++;
-                }
-              }
-            }
-            console.log('Added', addedCount, 'channel videos for channel:', channelId)
-          }
-        });
+  // Store the channel, its feed gets polled by the channel scheduler
+  const channelId = channelIdFromUrl(authorUrl);
+  if (channelId && channelsCollection) {
+    try {
+      await recordChannel(channelsCollection, {
+        channelId,
+        name: authorName,
+      }, !previous || previous.authorUrl !== authorUrl);
+    } catch (e) {
+      console.error('Unable to record channel:', channelId, e.message);
+    }
+  }
+}
+
+// Adds playlists to the frontier and crawls the ones no instance has crawled recently
+async function crawlPlaylistIds(crawler, playlistIds, source) {
+  if (process.env.DISABLE_PLAYLIST_CRAWL || !playlistsCollection) {
+    return;
+  }
+
+  for (let i = 0; i < playlistIds.length; i++) {
+    const uri = buildPlaylistUri(playlistIds[i]);
+    try {
+      if (await frontier.add(uri, { type: 'playlist', recrawlAfter: PLAYLIST_RECRAWL_AFTER })) {
+        crawlPlaylist(crawler, uri, source);
+      }
+    } catch (e) {
+      console.error('Unable to add playlist to frontier:', e.message);
+    }
+  }
+}
+
+// Fetches a playlist claimed in the frontier, stores it and crawls its videos
+async function crawlPlaylist(crawler, uri, source) {
+  try {
+    const playlist = await fetchPlaylist(playlistIdFromUri(uri));
+    await storePlaylist(playlistsCollection, playlist, source);
+
+    let addedCount = 0;
+    for (let i = 0; i < playlist.videoIds.length; i++) {
+      if (await crawlYTVideo(crawler, playlist.videoIds[i], 1, 'playlist')) {
+        addedCount++;
+      }
     }
+    console.log('Added', addedCount, 'playlist videos for playlist:', playlist.playlistId);
+    await frontier.complete(uri, DONE);
+  } catch (e) {
+    console.error('Unable to crawl playlist:', uri, e.message);
+    frontier.complete(uri, FAILED).catch(console.error);
+  }
+}
+
+// Records availability changes in the video history, which is only kept on the mongodb store
+function trackAvailability(videoUri, availability) {
+  if (historyCollection) {
+    recordAvailability(videosCollection, historyCollection, videoUri, availability).catch(console.error);
+  }
+}
+
+// Stores the caption tracks of a crawled watch page, unless YouTube is throttling us
+function trackCaptions(videoUri, captionTracks) {
+  if (captionsCollection && captionTracks.length > 0 && rateController.delay(new URL(videoUri).host) === 0) {
+    harvestCaptions(captionsCollection, videoUri, captionTracks).catch(e => {
+      console.error('Unable to fetch captions:', videoUri, e.message);
+    });
   }
 }
 
@@ -443,85 +486,124 @@ async function insertVideo(videosCollection, data, crawler) {
 async function onCrawled(error, res, done, opts) {
   try {
     const { uri } = res.options;
-    const { crawler, videosCollection } = opts;
+    const { crawler } = opts;
+    pendingURIs.delete(uri);
     const videoUri = cleanYTUri(uri);
+    const isOembed = uri.indexOf('/oembed?') !== -1;
+
+    if (isOembed) {
+      oembedResponses.inc({ status: oembedStatusLabel(error, res.statusCode) });
+    }
+
+    // Throttled requests go back into the frontier for any instance to retry after the backoff
+    const host = new URL(uri).host;
+    const outcome = classifyOutcome({
+      error,
+      statusCode: res.statusCode,
+      body: res.body,
+      finalHost: res.request && res.request.uri && res.request.uri.host,
+    });
+    rateController.report(host, outcome).catch(console.error);
+    recordResponse(res.options.session.identity, uri, res.headers, outcome, error);
+    if (outcome !== OK) {
+      // Uris that keep failing, such as ones that always time out, are given up on. Attempts
+      // count from what the frontier stored when the uri was claimed
+      if ((res.options.attempts || 0) + 1 >= MAX_CRAWL_ATTEMPTS) {
+        failedCounter++;
+        console.error('Giving up after', MAX_CRAWL_ATTEMPTS, 'attempts:', outcome, uri);
+        frontier.complete(uri, FAILED, { outcome }).catch(console.error);
+      } else {
+        console.error('Throttled, requeueing:', outcome, uri);
+        frontier.release(uri, new Date(Date.now() + rateController.delay(host)), { attempted: true }).catch(console.error);
+      }
+      done();
+      return;
+    }
+
     if (error || res.statusCode === 500) {
       failedCounter++;
       console.error(error || `Server error: ${res.statusCode} ${res.body} ${uri}`);
+      frontier.complete(uri, FAILED, { statusCode: res && res.statusCode }).catch(console.error);
       done();
       return;
     }
 
+    // Random IDs that exist are discoveries of the random ID source. IDs resumed from the
+    // frontier have lost their strategy and count as random
+    if (res.options.frontierType === 'random') {
+      const isHit = res.statusCode === 200 || res.statusCode === 401;
+      randomIdChecks.inc();
+      recordAttempt(res.options.idStrategy || RANDOM, isHit ? 1 : 0);
+      if (isHit) {
+        randomIdHits.inc();
+        videosDiscovered.inc({ source: 'random-id' });
+      }
+    }
+
+    // Record the outcome so no instance crawls this uri again. Random IDs that don't exist
+    // are forgotten instead, they will practically never be generated twice
+    if (res.statusCode === 404 && res.options.frontierType === 'random') {
+      frontier.remove(uri).catch(console.error);
+    } else {
+      frontier.complete(uri, res.statusCode === 200 || res.statusCode === 401 || res.statusCode === 404 ? DONE : FAILED, {
+        statusCode: res.statusCode,
+      }).catch(console.error);
+    }
+
     if (res.statusCode === 401 || res.body === 'Unauthorized') {
       // Unauthorized means that the video exists but is flagged as not embeddable
       // only way to get info would be through the youtube API - which we can do later
       // so for now lets just store it in the database as a valid uri
       // console.log('\nCrawled unauthed URI:', uri);
-      insertVideo(videosCollection, { uri: videoUri });
+      insertVideo({ uri: videoUri }).then(() => {
+        if (isOembed) {
+          trackAvailability(videoUri, availabilityFromStatus(401));
+        }
+      });
     } else if (res.statusCode === 200) {
       // console.log('\nIndexing URI:', videoUri);
       const isJSON = res.body.substr(0, 1) === '{';
       if (isJSON) {
         const { title, author_name, author_url } = JSON.parse(res.body);
-        insertVideo(videosCollection, {
+        insertVideo({
           uri: videoUri,
           title,
           authorName: author_name,
           authorUrl: author_url,
           description: '',
-        }, crawler);
+        }).then(() => trackAvailability(videoUri, availabilityFromStatus(200)));
       } else {
-        const videoDetailsStr = `"microformat":`;
-        const videoDetailsIndex = res.body.indexOf(videoDetailsStr);
-        if (videoDetailsIndex !== -1) {
-          const tests = res.body.substr(videoDetailsIndex + videoDetailsStr.length);
-          const endIndex = tests.indexOf(`,"trackingParams"`);
-          if (endIndex === -1) {
-            console.error('Unable to parse YT JSON in step 2');
-          } else {
-            let microformatStr = tests.substr(0, endIndex);
-            const cardsIndex = microformatStr.indexOf(`,"cards"`);
-            if (cardsIndex !== -1) { // Some data has extra property of cards, filter it out
-              microformatStr = microformatStr.substr(0, cardsIndex);
-            }
-
-            const {
-              title,
-              description,
-              lengthSeconds,
-              ownerProfileUrl,
-              externalChannelId,
-              viewCount,
-              category,
-              uploadDate,
-              ownerChannelName
-            } = JSON.parse(microformatStr).playerMicroformatRenderer;
-
-            insertVideo(videosCollection, {
-              uri: videoUri,
-              title: title && title.simpleText,
-              authorName: ownerChannelName,
-              authorUrl: externalChannelId ? `https://www.youtube.com/channel/${externalChannelId}` : ownerProfileUrl,
-              description: description && description.simpleText,
-              lengthSeconds: parseInt(lengthSeconds, 10),
-              viewCount,
-              category,
-              uploadDate,
-            }, crawler);
+        const video = parseWatchPage(res.body);
+        if (video && (video.title || video.description)) {
+          // Caption urls are signed and expire, only the available languages are kept with the video
+          const { videoId, captionTracks, ...videoData } = video;
+          insertVideo({
+            ...videoData,
+            uri: videoUri,
+            captionTracks: captionTracks.map(({ baseUrl, ...track }) => track),
+          }).then(() => trackCaptions(videoUri, captionTracks));
+
+          // Descriptions often link to playlists
+          if (video.description) {
+            crawlPlaylistIds(crawler, extractPlaylistIds(video.description), 'description');
           }
         } else {
-          console.error('cant find microformat', uri)
+          console.error('cant find player response', uri)
+        }
+
+        // Deleted and private videos still have a player response, which tells us they are gone
+        if (video && historyCollection) {
+          recordWatchPage(videosCollection, historyCollection, videoUri, video).catch(console.error);
         }
       }
 
       urlCounter++;
-      if (urlCounter >= urlCountMax) {
-        urlCounter = 0;
-        crawledURIs = [];
+    } else if (res.statusCode === 404) {
+      // Known videos that 404 were deleted or made private
+      if (isOembed && res.options.frontierType !== 'random') {
+        trackAvailability(videoUri, UNAVAILABLE);
       }
-    } else if (res.statusCode === 429) {
-      console.error('Rate limited:', uri);
-    } else if (res.statusCode !== 404) {
+    } else {
       console.error('Unknown statuscode:', uri, res.statusCode, res.body)
       failedCounter++;
     }
@@ -532,32 +614,40 @@ async function onCrawled(error, res, done, opts) {
   done();
 }
 
-// Crawls user inputted queries from the database
-async function getManualQuery(queriesCollection) {
-  if (process.env.DISABLE_MANUALQUERY) {
-    return;
-  }
-
-  // Find a query that has not been crawled yet, set its status as crawled and then search youtube
-  const uncrawledQuery = (await queriesCollection.find({ crawlDate: { $exists: false } }).limit(1).toArray())[0];
-  if (uncrawledQuery) {
-    queriesCollection.updateOne({ _id: uncrawledQuery._id }, { $set: { crawlDate: new Date() } });
-    return uncrawledQuery.query;
+async function main() {
+  // Connect to the store, this creates the videos and queries indices or tables too
+  store = await createStore();
+  await store.init();
+
+  // Channels, playlists, video history, captions, related videos, engagement, thumbnails and exports are only kept in MongoDB
+  const { db } = store;
+  if (db) {
+    videosCollection = db.collection('videos');
+    channelsCollection = db.collection('channels');
+    playlistsCollection = db.collection('playlists');
+    historyCollection = db.collection('videoHistory');
+    relationsCollection = db.collection('relations');
+    relatedQueueCollection = db.collection('relatedQueue');
+    engagementCollection = db.collection('engagement');
+    commentsCollection = db.collection('comments');
+    thumbnailsCollection = db.collection('thumbnails');
+    if (process.env.ENABLE_CAPTIONS) {
+      captionsCollection = db.collection('captions');
+    }
+  } else {
+    console.log('Channels, playlists, video history, captions, related videos, engagement, thumbnails and exports are disabled, they need the mongodb store');
   }
-}
 
-async function main() {
-  // Connect to MongoDB
-  await client.connect();
-  console.log('Connected successfully to database');
+  // Create the crawl frontier shared between cluster instances
+  frontier = createFrontier(store);
+  await frontier.init();
 
-  // Select database and videos collection
-  const db = client.db(dbName);
-  const videosCollection = db.collection('videos');
-  const queriesCollection = db.collection('queries');
+  // Create the rate controller, backoffs are shared through the database on the mongodb store
+  rateController = createRateController(db && db.collection('hosts'));
+  await rateController.init();
 
   // Insert sample document
-  await insertVideo(videosCollection, {
+  await insertVideo({
     uri: 'https://www.youtube.com/watch?v=C56YqrNFo5g',
     title: 'Lil Peep Music Mix',
     authorName: 'Lil Peep',
@@ -566,12 +656,30 @@ async function main() {
   });
 
   // Ensure DB indices exist
-  console.log('Creating indices on queries collection...');
-  await queriesCollection.createIndex({ query: 1 }, { unique: true });
+  if (db) {
+    console.log('Creating indices on channels collection...');
+    await ensureChannelIndices(channelsCollection);
+
+    console.log('Creating indices on playlists collection...');
+    await ensurePlaylistIndices(playlistsCollection);
 
-  console.log('Creating indices on videos collection...');
-  await videosCollection.createIndex({ uri: 1 }, { unique: true });
-  await videosCollection.createIndex({ fuzzyWords: 'text' }, { default_language: 'none' });
+    console.log('Creating indices on video history collection...');
+    await ensureHistoryIndices(historyCollection, videosCollection);
+
+    console.log('Creating indices on relations collections...');
+    await ensureRelationIndices(relationsCollection, relatedQueueCollection);
+
+    console.log('Creating indices on engagement and comments collections...');
+    await ensureEngagementIndices(engagementCollection, commentsCollection, videosCollection);
+
+    console.log('Creating indices on thumbnails collection...');
+    await ensureThumbnailIndices(thumbnailsCollection, videosCollection);
+
+    if (captionsCollection) {
+      console.log('Creating indices on captions collection...');
+      await ensureCaptionIndices(captionsCollection);
+    }
+  }
 
   // Crawler object def
   console.log('Creating crawler object...');
@@ -583,76 +691,295 @@ async function main() {
     timeout: 5000,
     callback: (error, res, done) => {
       return onCrawled(error, res, done, {
-        videosCollection,
         crawler,
       });
     },
     retries: 1,
     jQuery: false,
+
+    // Hold back requests to throttled hosts, they are requeued in the frontier until the backoff ends
+    preRequest: (options, requestDone) => {
+      // Requests outside the frontier are queued again by their source once its claim runs out
+      if (drainMode) {
+        if (!options.skipFrontier) {
+          pendingURIs.delete(options.uri);
+          if (drainMode === 'requeue') {
+            frontier.release(options.uri).catch(console.error);
+          } else {
+            frontier.complete(options.uri, SKIPPED).catch(console.error);
+          }
+        }
+        const error = new Error('Queue is draining');
+        error.op = 'abort';
+        requestDone(error);
+        return;
+      }
+
+      // A uri that can't be requested fails, so it isn't claimed from the frontier again
+      let host;
+      try {
+        host = new URL(options.uri).host;
+      } catch (e) {
+        console.error('Invalid uri in crawler queue:', options.uri);
+        if (!options.skipFrontier) {
+          pendingURIs.delete(options.uri);
+          frontier.complete(options.uri, FAILED).catch(console.error);
+        }
+        const error = new Error('Invalid uri');
+        error.op = 'abort';
+        requestDone(error);
+        return;
+      }
+
+      const delay = rateController.delay(host);
+      if (delay > 0) {
+        if (!options.skipFrontier) {
+          pendingURIs.delete(options.uri);
+          frontier.release(options.uri, new Date(Date.now() + delay)).catch(console.error);
+        }
+        const error = new Error('Host is throttled');
+        error.op = 'abort';
+        requestDone(error);
+        return;
+      }
+
+      if (options.skipFrontier) {
+        prepareRequest(options);
+        requestDone();
+        return;
+      }
+
+      // Uris can wait in the queue for longer than their lease, so it is renewed before the request
+      // goes out. Another instance that claimed the uri after the lease ran out crawls it instead
+      frontier.renew(options.uri).then(renewed => {
+        if (!renewed) {
+          pendingURIs.delete(options.uri);
+          const error = new Error('Claimed by another instance');
+          error.op = 'abort';
+          requestDone(error);
+          return;
+        }
+        prepareRequest(options);
+        requestDone();
+      }, e => {
+        console.error('Unable to renew frontier lease:', e.message, options.uri);
+        prepareRequest(options);
+        requestDone();
+      });
+    },
   });
 
+  crawler.on('drain', () => {
+    if (drainMode && !shuttingDown) {
+      drainMode = undefined;
+      console.log('Crawler queue drained');
+    }
+  });
+
+  // Discovery sources get the crawler and everything they need to feed it through this context
+  const context = {
+    clusterInstanceId,
+    crawler,
+    rateController,
+    videos: store.videos,
+    queries: store.queries,
+    videosCollection, // Only on the mongodb store
+    channelsCollection, // Only on the mongodb store
+    relationsCollection, // Only on the mongodb store
+    relatedQueueCollection, // Only on the mongodb store
+    engagementCollection, // Only on the mongodb store
+    commentsCollection, // Only on the mongodb store
+    thumbnailsCollection, // Only on the mongodb store
+    crawlURI: (...args) => crawlURI(crawler, ...args),
+    queueInnertube: (...args) => queueInnertube(crawler, ...args),
+    crawlVideo: (videoId, priority, source, locale, referrerUrl) => crawlYTVideo(crawler, videoId, priority, source, locale, referrerUrl),
+    crawlRandomVideo: (videoId, strategy) => crawlRandomYTVideo(crawler, videoId, strategy),
+    indexSearchVideo: (result, source, locale) => indexSearchVideo(result, source, locale),
+    crawlPlaylistIds: (playlistIds, source) => crawlPlaylistIds(crawler, playlistIds, source),
+  };
+  scheduler = createScheduler(context);
+
+  // Built in discovery sources, plus any source modules listed in EXTRA_SOURCES
+  scheduler.register(createRandomIdSource());
+  createSearchEngineSources().forEach(source => scheduler.register(source));
+  scheduler.register(createWebSource());
+  scheduler.register(createYoutubeSearchSource());
+  scheduler.register(createUnknownDetailsSource());
+  if (db) {
+    scheduler.register(createChannelFeedsSource());
+    scheduler.register(createRefreshSource());
+    scheduler.register(createRelatedSource());
+    scheduler.register(createEnrichmentSource());
+    scheduler.register(createThumbnailsSource());
+  }
+  (await loadSourceModules()).forEach(source => scheduler.register(source));
+
   // Base stats route
   console.log('Initializing fastify...');
-  fastify.get('/', (request, reply) => {
+  fastify.get('/', async (request, reply) => {
+    const frontierCounts = await frontier.counts();
     reply.send({
-      total: crawledURIs.length,
+      total: Object.values(frontierCounts).reduce((total, count) => total + count, 0),
+      frontier: frontierCounts,
+      hosts: rateController.states(),
+      sources: scheduler.stats(),
+      idSpace: idSpaceStats(),
+      proxies: proxyStats(),
+      innertube: innertubeConfigStats(),
+      locales: localeStats(),
       queueSize: crawler.queueSize,
       indexedCount: urlCounter,
       failed: failedCounter,
     });
   });
 
+  // Prometheus metrics route, counters are never reset while the process runs
+  gauge('ytindexer_crawler_queue_size', 'Requests waiting in the crawler queue', () => crawler.queueSize);
+  fastify.get('/metrics', async (request, reply) => {
+    reply.type('text/plain; version=0.0.4').send(await renderMetrics());
+  });
+
   // Query route
-  fastify.get('/query', async (request, reply) => {
-    const itemsPerPage = 10;
-    const page = 0;
-    const searchTerm = request.query.q || '';
-    const findTerm = { $text: { $search: searchTerm } };
-    const timeStart = process.hrtime();
-
-    // Perform aggregation search
+  fastify.get('/query', {
+    schema: { querystring: searchQuerySchema },
+  }, async (request, reply) => {
     const startdate = new Date();
-    const aggregation = await videosCollection.aggregate([
-        {
-          $match: findTerm
-        },
-        {
-          $addFields: {
-            textScore: {"$meta": "textScore"}
-          }
-        },
-        {
-          $facet: {
-            totalData: [
-              { $skip: itemsPerPage * page },
-              { $limit: itemsPerPage }
-            ],
-            totalCount: [
-              { $count: "count" }
-            ]
-          }
-        },
-        {
-          "$sort": { score: { $meta: "textScore" } },
-        },
-    ]).toArray();
+    let results;
+    try {
+      if (!request.query.transcripts) {
+        results = await store.videos.search(request.query);
+      } else if (captionsCollection) {
+        results = await searchTranscripts(captionsCollection, request.query);
+      } else {
+        throw new Error('Transcript search needs the mongodb store and ENABLE_CAPTIONS');
+      }
+    } catch (e) {
+      reply.code(400).send({ error: e.message });
+      return;
+    }
 
     // Add query to db so crawlers can check it out
-    await queriesCollection.updateOne({ query: searchTerm }, {
-      $set: {
-        query: searchTerm,
-        date: new Date(),
-      },
-    }, { upsert: true });
+    const searchTerm = request.query.q;
+    if (searchTerm) {
+      await store.queries.add(searchTerm);
+    }
 
     const elapsedTime = new Date() - startdate
 
     reply.send({
-      aggregation,
+      ...results,
       elapsedTime,
     });
   });
 
+  // Channel, export, video history and thumbnail routes need the collections only the mongodb store has
+  if (db) {
+    // Channel routes
+    fastify.get('/channels', {
+      schema: { querystring: channelListSchema },
+    }, async (request, reply) => {
+      const { page, limit, sort } = request.query;
+      const [items, total] = await Promise.all([
+        channelsCollection.find({})
+          .sort({ [sort]: -1, _id: 1 })
+          .skip(page * limit)
+          .limit(limit)
+          .toArray(),
+        channelsCollection.estimatedDocumentCount(),
+      ]);
+
+      reply.send({
+        items,
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+      });
+    });
+
+    fastify.get('/channels/:id', async (request, reply) => {
+      const channel = await channelsCollection.findOne({ channelId: request.params.id });
+      if (!channel) {
+        reply.code(404).send({ error: 'Channel not found' });
+        return;
+      }
+
+      const videos = await videosCollection.find({ authorUrl: channel.url })
+        .project({ fuzzyWords: 0 })
+        .sort({ uploadDate: -1 })
+        .limit(50)
+        .toArray();
+
+      reply.send({
+        ...channel,
+        videos,
+      });
+    });
+
+    // Streams videos, channels or queries as JSONL, CSV or jsonl-columns row groups. Whole
+    // collections are only handed out with the admin token
+    if (process.env.ADMIN_TOKEN && !process.env.DISABLE_EXPORT) {
+      fastify.get('/export', {
+        schema: { querystring: exportQuerySchema },
+        onRequest: requireToken(process.env.ADMIN_TOKEN),
+      }, async (request, reply) => {
+        reply.type(exportFormats[request.query.format]).send(Readable.from(exportChunks(db, request.query)));
+      });
+    }
+
+    // View count snapshots and availability transitions of a video
+    fastify.get('/videos/:id/history', {
+      schema: { querystring: historyQuerySchema },
+    }, async (request, reply) => {
+      const videoId = request.params.id;
+      const video = await videosCollection.findOne({ uri: buildVideoUri(videoId) }, {
+        projection: { _id: 0, uri: 1, title: 1, viewCount: 1, availability: 1, availabilityChangedAt: 1, refreshedAt: 1, nextRefreshAt: 1 },
+      });
+      if (!video) {
+        reply.code(404).send({ error: 'Video not found' });
+        return;
+      }
+
+      reply.send({
+        videoId,
+        ...video,
+        ...(await getVideoHistory(historyCollection, videoId, request.query.limit)),
+      });
+    });
+
+    // Videos with a thumbnail that looks like the given video's, likely reuploads
+    fastify.get('/similar', {
+      schema: { querystring: similarQuerySchema },
+    }, async (request, reply) => {
+      const { video, ...options } = request.query;
+      const result = await findSimilar(thumbnailsCollection, video, options);
+      if (!result) {
+        reply.code(404).send({ error: 'Video thumbnail has not been hashed' });
+        return;
+      }
+      reply.send(result);
+    });
+
+    // Clusters of videos with thumbnails that look alike, largest first
+    fastify.get('/duplicates', {
+      schema: { querystring: duplicatesQuerySchema },
+    }, async (request, reply) => {
+      reply.send(await findDuplicateClusters(thumbnailsCollection, request.query));
+    });
+  }
+
+  // Admin routes, only available when a token is configured
+  if (process.env.ADMIN_TOKEN) {
+    fastify.register(adminRoutes, {
+      ...context,
+      prefix: '/admin',
+      token: process.env.ADMIN_TOKEN,
+      scheduler,
+      recrawlURI: uri => recrawlURI(crawler, uri),
+      drainQueue: requeue => drainQueue(crawler, requeue),
+    });
+  }
+
   // Run the server!
   const serverPort = parseInt(process.env.PORT || 8080, 10) + clusterInstanceId;
   fastify.listen(serverPort, process.env.BIND_IP || '0.0.0.0', (err, address) => {
@@ -663,34 +990,16 @@ async function main() {
     console.log(`Server is now listening on ${address}`);
   });
 
+  // Save the crawler que and search state when stopped, and pick them up again from the last stop
+  process.once('SIGTERM', () => shutdown(crawler, 'SIGTERM'));
+  process.once('SIGINT', () => shutdown(crawler, 'SIGINT'));
+  await restoreCheckpoint();
+
   // Do some crawling
   console.log('Starting crawling...');
-  if (!process.env.DISABLE_SEARCH) {
-    // Launch duck searches, for clusters we stagger the start so that
-    // cluster 0 is immediate, cluster 1 is 8 seconds later, cluster 2 is 16 seconds later, etc
-    if (!process.env.DISABLE_DUCK_SEARCH) {
-      setTimeout(() => {
-        crawlRandomDuckDuckGoSearch(crawler, videosCollection);
-      }, clusterInstanceId * 10000); // Every 10 seconds a cluster instance will fire, immediate for ID 0
-    }
-
-    // Launch YT searches
-    if (!process.env.DISABLE_YT_SEARCH) {
-      setTimeout(() => {
-        crawlRandomYTSearch(crawler, videosCollection, queriesCollection);
-      }, clusterInstanceId * 1500);
-    }
-  }
-
-  if (!process.env.DISABLE_RANDOMHASH) {
-    crawlYTVideo(crawler, videosCollection);
-  }
-
-  if (!process.env.DISABLE_UNNOWN_GATHER) {
-    setTimeout(() => {
-      gatherVideoDetails(crawler, videosCollection);
-    }, clusterInstanceId * 1000);
-  }
+  await scheduler.start();
+  resumeFrontier(crawler);
+  checkProxies();
 }
 
 main();
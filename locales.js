@@ -0,0 +1,128 @@
+import fs from 'fs';
+import { localeSearches, localeVideosDiscovered } from './metrics.js';
+
+// Locales discovery searches in, comma separated hl-GL codes such as en-US,de-DE,ja-JP. LOCALES_FILE
+// points to a JSON array of profiles instead, which can set their own word list and suggestion endpoint
+const LOCALES = process.env.LOCALES || 'en-US';
+
+// How instances go through the locales: every tick searches in the next one (tick), or every
+// cluster instance keeps to the one its index picks (instance)
+const LOCALE_ROTATION = process.env.LOCALE_ROTATION || 'tick';
+
+const defaultSuggestUrl = 'https://suggestqueries-clients6.youtube.com/complete/search';
+
+// A locale profile is:
+//   name       - how the locale is labelled on videos and in stats, hl-GL unless given
+//   hl, gl     - interface language and region sent to YouTube
+//   words      - word list for random searches, words.txt for English and words/<hl>.txt for the rest
+//   suggestUrl - query suggestion endpoint
+function createProfile({ name, hl, gl, words, suggestUrl }) {
+  if (!hl || !gl) {
+    throw new Error(`Locale needs hl and gl: ${JSON.stringify({ name, hl, gl })}`);
+  }
+  return {
+    name: name || `${hl}-${gl}`,
+    hl,
+    gl,
+    words: words || (hl === 'en' ? './words.txt' : `./words/${hl}.txt`),
+    suggestUrl: suggestUrl || defaultSuggestUrl,
+  };
+}
+
+// Parses "en-US,pt-BR" into profiles, the region is what follows the last dash
+export function parseLocales(str) {
+  return str.split(',')
+    .map(code => code.trim())
+    .filter(code => !!code)
+    .map(code => createProfile({
+      hl: code.substr(0, code.lastIndexOf('-')),
+      gl: code.substr(code.lastIndexOf('-') + 1),
+    }));
+}
+
+function loadProfiles() {
+  if (process.env.LOCALES_FILE) {
+    return JSON.parse(fs.readFileSync(process.env.LOCALES_FILE, 'utf8')).map(createProfile);
+  }
+  return parseLocales(LOCALES);
+}
+
+const profiles = loadProfiles();
+let nextProfile = 0;
+
+// Searches and new videos per locale name
+const localeCounts = new Map(profiles.map(profile => [profile.name, { searches: 0, discovered: 0 }]));
+
+export function localeProfiles() {
+  return profiles;
+}
+
+// The first configured locale, used where nothing picked one
+export function defaultLocale() {
+  return profiles[0];
+}
+
+export function findLocale(name) {
+  return profiles.find(profile => profile.name === name);
+}
+
+// Loads the words list of every locale by locale name, locales without one fall back to the
+// first locale's list, or any list that loaded
+export function loadWordsLists() {
+  const lists = new Map();
+  profiles.forEach(locale => {
+    try {
+      lists.set(locale.name, fs.readFileSync(locale.words, {encoding: 'utf8', flag: 'r'}).split('\n').filter(word => !!word));
+    } catch (e) {
+      console.error('Unable to load words list of locale', locale.name, e.message);
+    }
+  });
+  if (lists.size === 0) {
+    throw new Error('No words list could be loaded for any locale');
+  }
+
+  const fallback = lists.get(defaultLocale().name) || lists.values().next().value;
+  profiles.forEach(locale => {
+    if (!lists.has(locale.name)) {
+      lists.set(locale.name, fallback);
+    }
+  });
+  return lists;
+}
+
+// Picks the locale of the next discovery tick
+export function nextLocale(clusterInstanceId = 0) {
+  if (LOCALE_ROTATION === 'instance') {
+    return profiles[clusterInstanceId % profiles.length];
+  }
+  const profile = profiles[nextProfile];
+  nextProfile = (nextProfile + 1) % profiles.length;
+  return profile;
+}
+
+// Accept-Language header of a locale, with English after its own language
+export function acceptLanguage(locale) {
+  return locale.hl === 'en' ?
+    `en-${locale.gl},en;q=0.9` :
+    `${locale.hl}-${locale.gl},${locale.hl};q=0.9,en;q=0.8`;
+}
+
+// Counts a search made in a locale and the new videos it found
+export function recordLocaleSearch(locale, discovered = 0) {
+  const counts = localeCounts.get(locale.name);
+  counts.searches++;
+  counts.discovered += discovered;
+  localeSearches.inc({ locale: locale.name });
+  if (discovered > 0) {
+    localeVideosDiscovered.inc({ locale: locale.name }, discovered);
+  }
+}
+
+// Searches, new videos and yield of every locale, for the stats route
+export function localeStats() {
+  const stats = {};
+  localeCounts.forEach(({ searches, discovered }, name) => {
+    stats[name] = { searches, discovered, yield: searches > 0 ? discovered / searches : 0 };
+  });
+  return stats;
+}
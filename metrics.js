@@ -0,0 +1,112 @@
+// Minimal Prometheus registry, rendered in the text exposition format by the /metrics route.
+// Counters only ever go up for the lifetime of the process so rates can be graphed across instances
+const metrics = [];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels = {}) {
+  const pairs = Object.keys(labels).map(key => `${key}="${escapeLabel(labels[key])}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function header(name, help, type) {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+// Counter with optional labels, inc({ label: 'value' }, amount). Counters without
+// labels start at 0 so they show up before anything is counted
+export function counter(name, help, labelled = false) {
+  const values = new Map(labelled ? [] : [['', 0]]);
+  const metric = {
+    inc(labels = {}, amount = 1) {
+      const key = formatLabels(labels);
+      values.set(key, (values.get(key) || 0) + amount);
+    },
+
+    async render() {
+      const lines = header(name, help, 'counter');
+      values.forEach((value, key) => lines.push(`${name}${key} ${value}`));
+      return lines;
+    },
+  };
+  metrics.push(metric);
+  return metric;
+}
+
+// Gauge read when metrics are rendered, collect returns its current value
+export function gauge(name, help, collect) {
+  const metric = {
+    async render() {
+      return [...header(name, help, 'gauge'), `${name} ${await collect()}`];
+    },
+  };
+  metrics.push(metric);
+  return metric;
+}
+
+// Histogram of observed values with cumulative buckets
+export function histogram(name, help, buckets) {
+  const counts = buckets.map(() => 0);
+  let sum = 0;
+  let count = 0;
+  const metric = {
+    observe(value) {
+      buckets.forEach((bucket, i) => {
+        if (value <= bucket) {
+          counts[i]++;
+        }
+      });
+      sum += value;
+      count++;
+    },
+
+    // Starts a timer, calling the returned function observes the elapsed seconds
+    startTimer() {
+      const start = process.hrtime.bigint();
+      return () => metric.observe(Number(process.hrtime.bigint() - start) / 1e9);
+    },
+
+    async render() {
+      const lines = header(name, help, 'histogram');
+      buckets.forEach((bucket, i) => lines.push(`${name}_bucket{le="${bucket}"} ${counts[i]}`));
+      lines.push(`${name}_bucket{le="+Inf"} ${count}`);
+      lines.push(`${name}_sum ${sum}`);
+      lines.push(`${name}_count ${count}`);
+      return lines;
+    },
+  };
+  metrics.push(metric);
+  return metric;
+}
+
+export async function renderMetrics() {
+  const lines = [];
+  for (let i = 0; i < metrics.length; i++) {
+    lines.push(...(await metrics[i].render()));
+  }
+  return lines.join('\n') + '\n';
+}
+
+// Crawler metrics shared between modules
+export const oembedResponses = counter('ytindexer_oembed_responses_total', 'Oembed responses by status: 200, 401, 404, 429, 5xx, other or error', true);
+export const videosDiscovered = counter('ytindexer_videos_discovered_total', 'New videos added to the frontier by discovery source', true);
+export const randomIdChecks = counter('ytindexer_random_id_checks_total', 'Random video IDs checked with oembed');
+export const randomIdHits = counter('ytindexer_random_id_hits_total', 'Random video IDs that turned out to exist');
+export const idStrategyAttempts = counter('ytindexer_id_strategy_attempts_total', 'Attempts to find video IDs by strategy: random, prefix or prefix-search', true);
+export const idStrategyHits = counter('ytindexer_id_strategy_hits_total', 'New videos found by video ID strategy', true);
+export const localeSearches = counter('ytindexer_locale_searches_total', 'YouTube searches by locale', true);
+export const localeVideosDiscovered = counter('ytindexer_locale_videos_discovered_total', 'New videos found by YouTube searches by locale', true);
+export const dbWriteDuration = histogram('ytindexer_db_write_duration_seconds', 'Time taken to write a video to the database', [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5]);
+
+// Groups oembed status codes into the labels of the oembed responses counter
+export function oembedStatusLabel(error, statusCode) {
+  if (error) {
+    return 'error';
+  }
+  if (statusCode >= 500) {
+    return '5xx';
+  }
+  return [200, 401, 404, 429].indexOf(statusCode) !== -1 ? String(statusCode) : 'other';
+}
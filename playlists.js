@@ -0,0 +1,95 @@
+import xmlParser from 'fast-xml-parser';
+import { httpRequest } from './http.js';
+import { getPlaylist } from './innertube.js';
+
+// Regex to extract playlist IDs from list= url parameters
+const ytPlaylistIDRegex = /[?&;]list=([A-Za-z0-9_-]{12,64})/g;
+
+// Mixes (RD) are generated per viewer and never end, watch later/liked lists are private
+const ignoredPlaylistPrefixes = ['RD', 'WL', 'LL'];
+
+const PLAYLIST_MAX_PAGES = parseInt(process.env.PLAYLIST_MAX_PAGES || 20, 10);
+
+export function buildPlaylistUri(playlistId) {
+  return `https://www.youtube.com/playlist?list=${playlistId}`;
+}
+
+export function playlistIdFromUri(uri) {
+  return new URL(uri).searchParams.get('list');
+}
+
+// Extracts unique crawlable playlist IDs from any text, HTML or descriptions alike
+export function extractPlaylistIds(str) {
+  const playlistIds = [];
+  let match;
+  ytPlaylistIDRegex.lastIndex = 0;
+  while ((match = ytPlaylistIDRegex.exec(str)) !== null) {
+    const playlistId = match[1];
+    if (
+      playlistIds.indexOf(playlistId) === -1 &&
+      !ignoredPlaylistPrefixes.some(prefix => playlistId.startsWith(prefix))
+    ) {
+      playlistIds.push(playlistId);
+    }
+  }
+  return playlistIds;
+}
+
+export async function ensurePlaylistIndices(playlistsCollection) {
+  await playlistsCollection.createIndex({ playlistId: 1 }, { unique: true });
+  await playlistsCollection.createIndex({ videos: 1 });
+  await playlistsCollection.createIndex({ channelId: 1 });
+}
+
+// Fetches the playlist RSS feed, which only lists the first 15 videos
+export async function fetchPlaylistFeed(playlistId) {
+  const feedResponse = await httpRequest({ url: `https://www.youtube.com/feeds/videos.xml?playlist_id=${playlistId}` });
+  const { feed } = xmlParser.parse(feedResponse.data, {});
+  const entries = feed.entry ? [].concat(feed.entry) : [];
+  return {
+    playlistId,
+    title: feed.title,
+    channelName: feed.author && feed.author.name,
+    videoIds: entries
+      .map(entry => entry && entry['yt:videoId'])
+      .filter(videoId => !!videoId),
+  };
+}
+
+// Loads a playlist's full contents, falling back to the RSS feed when browsing fails
+export async function fetchPlaylist(playlistId) {
+  try {
+    return await getPlaylist(playlistId, { maxPages: PLAYLIST_MAX_PAGES });
+  } catch (e) {
+    console.error('Unable to browse playlist, falling back to RSS:', playlistId, e.message);
+    return fetchPlaylistFeed(playlistId);
+  }
+}
+
+// Stores a playlist with its videos in playlist order
+export async function storePlaylist(playlistsCollection, playlist, source) {
+  const now = new Date();
+  const { playlistId, title, channelName, channelId, videoIds } = playlist;
+  const update = {
+    videos: videoIds,
+    videoCount: videoIds.length,
+    lastCrawled: now,
+  };
+
+  if (title) {
+    update.title = title;
+  }
+
+  if (channelName) {
+    update.channelName = channelName;
+  }
+
+  if (channelId) {
+    update.channelId = channelId;
+  }
+
+  await playlistsCollection.updateOne({ playlistId }, {
+    $set: update,
+    $setOnInsert: { firstSeen: now, source },
+  }, { upsert: true });
+}
@@ -0,0 +1,199 @@
+// Outcomes of a request as far as rate limiting is concerned
+export const OK = 'ok';
+export const RATE_LIMITED = 'rate-limited';
+export const CAPTCHA = 'captcha';
+export const TIMEOUT = 'timeout';
+export const NETWORK = 'network';
+
+// Host states reported on the stats route
+export const HEALTHY = 'healthy';
+export const THROTTLED = 'throttled';
+export const COOLING_DOWN = 'cooling down';
+
+// Backoff doubles from the base delay on every consecutive failure up to the max delay
+const RATE_BACKOFF_BASE = parseInt(process.env.RATE_BACKOFF_BASE || 30000, 10);
+const RATE_BACKOFF_MAX = parseInt(process.env.RATE_BACKOFF_MAX || 30 * 60 * 1000, 10);
+
+// Successful requests needed after a backoff before a host counts as healthy again
+const COOLDOWN_SUCCESSES = 10;
+
+// How often host states are pulled from the database to pick up other instances' backoffs
+const SYNC_INTERVAL = 5000;
+
+const timeoutCodes = ['ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ECONNABORTED'];
+
+// Connections that were refused, reset or couldn't be made, likely to work when retried later
+const networkCodes = ['ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'ENETDOWN'];
+
+// Pages served instead of the requested one when we look like a bot
+const captchaMarkers = [
+  'consent.youtube.com',
+  'www.google.com/sorry',
+  'Our systems have detected unusual traffic',
+  'anomaly-modal', // DuckDuckGo
+];
+const captchaHosts = ['consent.youtube.com', 'www.google.com'];
+
+// Works out whether a response means the host is throttling us. Other request errors,
+// such as invalid urls, are OK as far as rate limiting goes
+export function classifyOutcome({ error, statusCode, body, finalHost }) {
+  if (error) {
+    if (timeoutCodes.indexOf(error.code) !== -1) {
+      return TIMEOUT;
+    }
+    // SOCKS proxies fail connections with errors of their own, without a code
+    const isNetworkError = networkCodes.indexOf(error.code) !== -1 ||
+      (error.constructor && error.constructor.name === 'SocksClientError');
+    return isNetworkError ? NETWORK : OK;
+  }
+
+  if (statusCode === 429) {
+    return RATE_LIMITED;
+  }
+
+  if (captchaHosts.indexOf(finalHost) !== -1) {
+    return CAPTCHA;
+  }
+
+  if (typeof body === 'string' && captchaMarkers.some(marker => body.indexOf(marker) !== -1)) {
+    return CAPTCHA;
+  }
+
+  return OK;
+}
+
+// Same as classifyOutcome but for errors thrown by axios
+export function classifyAxiosError(e) {
+  if (e.response) {
+    return classifyOutcome({
+      statusCode: e.response.status,
+      body: e.response.data,
+    });
+  }
+  return classifyOutcome({ error: e });
+}
+
+// Backoff with equal jitter, half of it fixed and half random so instances don't retry in lockstep
+function backoffDelay(failures) {
+  const delay = Math.min(RATE_BACKOFF_MAX, RATE_BACKOFF_BASE * Math.pow(2, failures - 1));
+  return Math.floor(delay / 2 + Math.random() * delay / 2);
+}
+
+function stateOf(host) {
+  if (host.backoffUntil && host.backoffUntil > new Date()) {
+    return THROTTLED;
+  }
+  return host.failures > 0 ? COOLING_DOWN : HEALTHY;
+}
+
+// Tracks throttling per host. With a collection, backoffs are written to the database
+// and read back periodically so every cluster instance backs off together
+export function createRateController(collection) {
+  const hosts = new Map();
+  let syncTimer;
+
+  function getHost(host) {
+    if (!hosts.has(host)) {
+      hosts.set(host, { host, failures: 0, successes: 0 });
+    }
+    return hosts.get(host);
+  }
+
+  async function sync() {
+    const docs = await collection.find({}).toArray();
+    docs.forEach(doc => {
+      const host = getHost(doc.host);
+      if (doc.failures === 0 && host.failures > 0) {
+        host.successes = 0;
+      }
+      Object.assign(host, {
+        failures: doc.failures,
+        backoffUntil: doc.backoffUntil,
+        reason: doc.reason,
+        lastFailureAt: doc.lastFailureAt,
+      });
+    });
+  }
+
+  return {
+    async init() {
+      if (!collection) {
+        return;
+      }
+
+      await collection.createIndex({ host: 1 }, { unique: true });
+      await sync();
+      syncTimer = setInterval(() => {
+        sync().catch(e => console.error('Unable to sync rate limit state:', e.message));
+      }, SYNC_INTERVAL);
+    },
+
+    stop() {
+      clearInterval(syncTimer);
+    },
+
+    // Milliseconds until a host may be requested again, 0 when it isn't throttled
+    delay(host) {
+      const state = hosts.get(host);
+      if (!state || !state.backoffUntil) {
+        return 0;
+      }
+      return Math.max(0, state.backoffUntil.getTime() - Date.now());
+    },
+
+    // Records the outcome of a request, failures extend the host's backoff
+    async report(host, outcome) {
+      const state = getHost(host);
+      if (outcome === OK) {
+        if (state.failures > 0 && stateOf(state) === COOLING_DOWN) {
+          state.successes++;
+          if (state.successes >= COOLDOWN_SUCCESSES) {
+            state.failures = 0;
+            state.successes = 0;
+            console.log('Host recovered from throttling:', host);
+            if (collection) {
+              await collection.updateOne({ host, backoffUntil: { $lte: new Date() } }, {
+                $set: { failures: 0 },
+              });
+            }
+          }
+        }
+        return;
+      }
+
+      // Failures during a backoff came from requests already in flight, don't escalate on them
+      if (stateOf(state) === THROTTLED) {
+        return;
+      }
+
+      const now = new Date();
+      state.failures++;
+      state.successes = 0;
+      state.reason = outcome;
+      state.lastFailureAt = now;
+      state.backoffUntil = new Date(now.getTime() + backoffDelay(state.failures));
+      console.error('Host throttled:', host, outcome, 'backing off until', state.backoffUntil.toISOString());
+
+      if (collection) {
+        await collection.updateOne({ host }, {
+          $max: { failures: state.failures, backoffUntil: state.backoffUntil },
+          $set: { reason: outcome, lastFailureAt: now },
+        }, { upsert: true });
+      }
+    },
+
+    // State of every host seen so far, for the stats route
+    states() {
+      const states = {};
+      hosts.forEach(host => {
+        states[host.host] = {
+          state: stateOf(host),
+          failures: host.failures,
+          backoffUntil: host.backoffUntil,
+          reason: host.reason,
+        };
+      });
+      return states;
+    },
+  };
+}
@@ -0,0 +1,37 @@
+import dotenv from 'dotenv';
+import { analyzeVideo } from './text.js';
+import { createStore } from './store.js';
+
+// Rebuilds the language and fuzzy words of every video in the store, after the text analysis
+// or the search index changed:
+//   node reindex.js
+dotenv.config({ path: './.env' });
+
+const PROGRESS_EVERY = 10000;
+
+async function main() {
+  const store = await createStore();
+  await store.init();
+  try {
+    let count = 0;
+    for await (const video of store.videos.scan()) {
+      if (!video.title && !video.description && !video.authorName) {
+        continue;
+      }
+
+      // updatedAt is left alone, the videos themselves didn't change
+      await store.videos.upsert({ uri: video.uri, ...analyzeVideo(video) });
+      if (++count % PROGRESS_EVERY === 0) {
+        console.log('Reindexed videos:', count);
+      }
+    }
+    console.log('Reindexed videos:', count);
+  } finally {
+    await store.close();
+  }
+}
+
+main().catch(e => {
+  console.error('Reindex failed:', e.message);
+  process.exit(1);
+});
@@ -0,0 +1,83 @@
+import { URL } from 'url';
+
+// How many hops from a seed video the related video walk goes, videos that far out are
+// crawled but their related videos aren't
+const RELATED_MAX_DEPTH = parseInt(process.env.RELATED_MAX_DEPTH || 3, 10);
+
+// How long an expansion claim is held before another instance may expand the video
+const RELATED_LEASE = 10 * 60 * 1000;
+
+export async function ensureRelationIndices(relationsCollection, relatedQueueCollection) {
+  await relationsCollection.createIndex({ from: 1, to: 1 }, { unique: true });
+  await relationsCollection.createIndex({ to: 1 });
+  await relatedQueueCollection.createIndex({ videoId: 1 }, { unique: true });
+  await relatedQueueCollection.createIndex({ expandedAt: 1, depth: 1, queuedAt: 1 });
+}
+
+// Queues a video to have its related videos expanded at a depth, keeping the shallowest depth
+// it was reached at. Videos at the depth limit aren't queued
+export async function queueRelated(relatedQueueCollection, videoId, depth) {
+  if (depth >= RELATED_MAX_DEPTH) {
+    return;
+  }
+
+  await relatedQueueCollection.updateOne({ videoId }, {
+    $setOnInsert: { videoId, queuedAt: new Date(), expandedAt: null },
+    $min: { depth },
+  }, { upsert: true });
+}
+
+// Starts new walks from videos picked at random out of the index
+export async function seedRelated(relatedQueueCollection, videosCollection, count) {
+  const seeds = await videosCollection.aggregate([
+    { $sample: { size: count } },
+    { $project: { uri: 1 } },
+  ]).toArray();
+  for (const { uri } of seeds) {
+    await queueRelated(relatedQueueCollection, new URL(uri).searchParams.get('v'), 0);
+  }
+  return seeds.length;
+}
+
+// Claims the queued video closest to its seed so the walk goes breadth first
+export async function claimRelated(relatedQueueCollection) {
+  const now = new Date();
+  const { value } = await relatedQueueCollection.findOneAndUpdate({
+    expandedAt: null,
+    $or: [
+      { leaseUntil: null },
+      { leaseUntil: { $lte: now } },
+    ],
+  }, {
+    $set: { leaseUntil: new Date(now.getTime() + RELATED_LEASE) },
+  }, { sort: { depth: 1, queuedAt: 1 }, projection: { videoId: 1, depth: 1 } });
+  return value;
+}
+
+// Stores the edges from a video to its related videos, rank is their position in the list
+export async function recordRelations(relationsCollection, videoId, relatedVideoIds) {
+  if (relatedVideoIds.length === 0) {
+    return;
+  }
+
+  const now = new Date();
+  await relationsCollection.bulkWrite(relatedVideoIds.map((relatedVideoId, rank) => ({
+    updateOne: {
+      filter: { from: videoId, to: relatedVideoId },
+      update: {
+        $set: { rank, lastSeen: now },
+        $setOnInsert: { firstSeen: now },
+      },
+      upsert: true,
+    },
+  })), { ordered: false });
+}
+
+// Marks a claimed video as expanded. Videos that fail to expand stay queued and are claimed
+// again once their lease runs out
+export async function completeRelated(relatedQueueCollection, videoId, relatedCount) {
+  await relatedQueueCollection.updateOne({ videoId }, {
+    $set: { expandedAt: new Date(), relatedCount },
+    $unset: { leaseUntil: '' },
+  });
+}
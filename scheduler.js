@@ -0,0 +1,259 @@
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+// Crawler que sizes that switch backpressure on, and off again once it has nearly drained
+const BACKPRESSURE_HIGH = 256;
+const BACKPRESSURE_LOW = 4;
+
+// How long a source waits to check again when its tick was skipped for backpressure
+const BACKPRESSURE_RETRY = 5000;
+
+// Parses "name:weight,name:weight" from the SOURCE_WEIGHTS env var
+function parseWeights(str = '') {
+  return str.split(',')
+    .map(pair => pair.split(':'))
+    .filter(([name, weight]) => name && !isNaN(parseFloat(weight)))
+    .reduce((weights, [name, weight]) => {
+      weights[name.trim()] = parseFloat(weight);
+      return weights;
+    }, {});
+}
+
+// Loads extra source modules listed in the EXTRA_SOURCES env var, relative to the working directory.
+// A module's default export is either a source or a function returning one
+export async function loadSourceModules(str = process.env.EXTRA_SOURCES || '') {
+  const modulePaths = str.split(',').map(modulePath => modulePath.trim()).filter(modulePath => !!modulePath);
+  const sources = [];
+  for (let i = 0; i < modulePaths.length; i++) {
+    const { default: exported } = await import(pathToFileURL(path.resolve(modulePaths[i])).href);
+    sources.push(typeof exported === 'function' ? exported() : exported);
+  }
+  return sources;
+}
+
+// Runs discovery sources, each on its own timer. A source is an object with:
+//   name        - unique name, used for weights, stats and runtime control
+//   tick        - async (context) => number of videos discovered
+//   interval    - (context) => ms between ticks at weight 1, higher weights tick more often
+//   startDelay  - optional (context) => ms before the first tick, used to stagger cluster instances
+//   enabled     - optional, false to register the source without starting it
+//   weight      - optional default weight, 1 if not given
+//   backpressure - optional, false for sources that keep running while the crawler que is full
+//   maxQueueSize - optional crawler que size above which the source skips its tick
+//   start, stop - optional async (context) hooks, for loading and releasing resources
+//   checkpoint  - optional () => JSON serializable state, saved when the instance shuts down
+//   restore     - optional (state) hook, gets the saved state back before the source starts
+export function createScheduler(context) {
+  const sources = new Map();
+  const weights = parseWeights(process.env.SOURCE_WEIGHTS);
+  let backpressured = false;
+
+  function updateBackpressure() {
+    const { queueSize } = context.crawler;
+    if (!backpressured && queueSize > BACKPRESSURE_HIGH) {
+      backpressured = true;
+      console.log('Crawler queue is full, pausing discovery sources');
+    } else if (backpressured && queueSize <= BACKPRESSURE_LOW) {
+      backpressured = false;
+      console.log('Crawler queue drained, resuming discovery sources');
+    }
+    return backpressured;
+  }
+
+  function getState(name) {
+    const state = sources.get(name);
+    if (!state) {
+      throw new Error(`Unknown source: ${name}`);
+    }
+    return state;
+  }
+
+  function schedule(state, delay) {
+    clearTimeout(state.timer);
+    state.timer = setTimeout(() => runTick(state), delay);
+  }
+
+  // Sources with neither a timer nor a tick in flight need scheduling again when resumed
+  function isIdle(state) {
+    return state.running && !state.timer && !state.ticking;
+  }
+
+  async function runTick(state) {
+    const { source, stats, generation } = state;
+    state.timer = undefined;
+    if (!state.running || state.paused || state.weight <= 0) {
+      return;
+    }
+
+    if (source.backpressure !== false && (
+      updateBackpressure() ||
+      (source.maxQueueSize !== undefined && context.crawler.queueSize > source.maxQueueSize)
+    )) {
+      stats.skipped++;
+      schedule(state, BACKPRESSURE_RETRY);
+      return;
+    }
+
+    try {
+      state.ticking = true;
+      stats.ticks++;
+      stats.lastTickAt = new Date();
+      stats.discovered += (await source.tick(context)) || 0;
+    } catch (e) {
+      stats.errors++;
+      stats.lastError = e.message;
+      console.error(`Error in ${source.name} source:`, e.message);
+    } finally {
+      state.ticking = false;
+    }
+
+    // Don't reschedule if the source was stopped (and maybe started again) during the tick
+    if (state.running && state.generation === generation) {
+      schedule(state, source.interval(context) / state.weight);
+    }
+  }
+
+  async function startSource(state) {
+    if (state.running) {
+      return;
+    }
+
+    state.running = true;
+    if (state.source.start) {
+      await state.source.start(context);
+    }
+    schedule(state, state.source.startDelay ? state.source.startDelay(context) : 0);
+    console.log('Started source:', state.source.name);
+  }
+
+  async function stopSource(state) {
+    if (!state.running) {
+      return;
+    }
+
+    state.running = false;
+    state.generation++;
+    clearTimeout(state.timer);
+    state.timer = undefined;
+    if (state.source.stop) {
+      await state.source.stop(context);
+    }
+    console.log('Stopped source:', state.source.name);
+  }
+
+  return {
+    register(source) {
+      if (sources.has(source.name)) {
+        throw new Error(`Source already registered: ${source.name}`);
+      }
+
+      sources.set(source.name, {
+        source,
+        enabled: source.enabled !== false,
+        running: false,
+        ticking: false,
+        generation: 0,
+        paused: false,
+        weight: weights[source.name] !== undefined ? weights[source.name] : (source.weight || 1),
+        stats: {
+          ticks: 0,
+          discovered: 0,
+          skipped: 0,
+          errors: 0,
+        },
+      });
+    },
+
+    // Starts every enabled source
+    async start() {
+      const states = [...sources.values()].filter(state => state.enabled);
+      for (let i = 0; i < states.length; i++) {
+        await startSource(states[i]);
+      }
+    },
+
+    async stop() {
+      const states = [...sources.values()];
+      for (let i = 0; i < states.length; i++) {
+        await stopSource(states[i]);
+      }
+    },
+
+    // Enabling starts a source, disabling stops it and releases its resources
+    async enable(name) {
+      const state = getState(name);
+      state.enabled = true;
+      await startSource(state);
+    },
+
+    async disable(name) {
+      const state = getState(name);
+      state.enabled = false;
+      await stopSource(state);
+    },
+
+    // Pausing only holds back ticks, the source keeps its state
+    pause(name) {
+      getState(name).paused = true;
+    },
+
+    resume(name) {
+      const state = getState(name);
+      if (state.paused) {
+        state.paused = false;
+        if (isIdle(state)) {
+          schedule(state, 0);
+        }
+      }
+    },
+
+    setWeight(name, weight) {
+      const state = getState(name);
+      const wasZero = state.weight <= 0;
+      state.weight = weight;
+      if (wasZero && weight > 0 && !state.paused && isIdle(state)) {
+        schedule(state, 0);
+      }
+    },
+
+    // Saved state of every source that keeps any, by source name
+    checkpoint() {
+      const states = {};
+      sources.forEach(({ source }) => {
+        if (source.checkpoint) {
+          states[source.name] = source.checkpoint();
+        }
+      });
+      return states;
+    },
+
+    // Hands saved states back to their sources, states of sources no longer registered are dropped
+    restore(states = {}) {
+      Object.keys(states).forEach(name => {
+        const state = sources.get(name);
+        if (state && state.source.restore) {
+          state.source.restore(states[name]);
+        }
+      });
+    },
+
+    isBackpressured() {
+      return updateBackpressure();
+    },
+
+    // Per source state and counters, for the stats route
+    stats() {
+      const stats = {};
+      sources.forEach(({ source, enabled, running, paused, weight, stats: sourceStats }) => {
+        stats[source.name] = {
+          enabled,
+          running,
+          paused,
+          weight,
+          ...sourceStats,
+        };
+      });
+      return stats;
+    },
+  };
+}
@@ -0,0 +1,181 @@
+import crypto from 'crypto';
+import qs from 'qs';
+import { URL } from 'url';
+import { extractPlaylistIds } from './playlists.js';
+import { isValidVideoId, minedPrefixEntries, nextSearchPrefix, recordPrefixSearch, restoreMinedPrefixes } from './idspace.js';
+import { loadWordsLists, nextLocale } from './locales.js';
+
+// Regex to extract all YouTube urls
+const ytUrlRegex = /(https?:\/\/([^=]*)youtu([^=]*)[^ ]*)/g;
+
+// Regex to extract YouTube video IDs
+const ytVideoIDRegex = /.*(?:youtu.be\/|v\/|u\/\w\/|embed\/|shorts\/|watch\?v=)([^#\&\?]*).*/;
+
+// Regex to extract YouTube channel IDs from channel urls
+const ytChannelIdRegex = /youtube\.com\/channel\/(UC[A-Za-z0-9_-]{22})/g;
+
+// Elements whose urls can point at videos: links, embedded players and oembed discovery tags
+const videoLinkSelector = 'a[href], iframe[src], iframe[data-src], embed[src], link[type$="oembed"]';
+
+// Link texts of next page links on pages that don't mark them up
+const nextLinkTexts = ['next', 'next page', 'more results', '›', '»'];
+
+// An engine is a result page scraper the search engine source runs, an object with:
+//   name        - unique name, used as the source name and for metrics
+//   host        - host whose backoff the source follows before it sends a request, for engines
+//                 with a single host. Requests are reported against the host they went to
+//   interval    - () => ms between result pages
+//   queries     - query generator with next(context) => query, the search terms being its q, and
+//                 optional record(query, found, added), start, checkpoint and restore hooks
+//   request     - (query) => request of the first result page of a query: { method, url, data }
+//                 with data the urlencoded body of POST requests
+//   nextPage    - ($, request) => request of the next result page, undefined on the last one.
+//                 $ is the result page loaded into cheerio
+//   maxPages    - optional number of result pages loaded per query
+//   captchaMarkers - optional strings that only show up on the engine's captcha page
+//   enabled     - optional, false to register the engine's source without starting it
+// Requests are JSON serializable so the page being searched survives restarts
+
+// Resolves a link on a page to an absolute url
+export function resolveUrl(href, pageUrl) {
+  try {
+    return new URL(href, pageUrl).toString();
+  } catch (e) {
+    return;
+  }
+}
+
+// Urls wrapped in a search engine's click tracking redirect: in a query param, or base64
+// encoded after an a1 prefix in Bing's u param
+function unwrapRedirect(url) {
+  const unwrapped = [];
+  try {
+    new URL(url).searchParams.forEach(value => {
+      if (/^https?:\/\//.test(value)) {
+        unwrapped.push(value);
+      } else if (/^a1[A-Za-z0-9+/_ -]+=*$/.test(value)) {
+        // A + in the base64 was decoded to a space as part of the query string
+        unwrapped.push(Buffer.from(value.substr(2).replace(/ /g, '+'), 'base64').toString('utf8'));
+      }
+    });
+  } catch (e) {
+    // Not a url
+  }
+  return unwrapped;
+}
+
+// Absolute urls of every link on a page, or of the elements selected, plus the urls their redirects point to
+export function extractLinks($, pageUrl, selector = 'a[href]') {
+  const links = [];
+  $(selector).each((index, element) => {
+    const url = resolveUrl(element.attribs.href || element.attribs.src || element.attribs['data-src'], pageUrl);
+    if (url) {
+      links.push(url, ...unwrapRedirect(url));
+    }
+  });
+  return links;
+}
+
+// Video, playlist and channel IDs in a page's html and the links and embeds on it
+export function extractVideoIds($, html, pageUrl) {
+  const text = [html, ...extractLinks($, pageUrl, videoLinkSelector)].join(' ');
+  const ytUrlMatches = text.match(ytUrlRegex) || [];
+  const videoIds = ytUrlMatches.map(url => {
+    const urlIdMatches = url.match(ytVideoIDRegex);
+    if (urlIdMatches && urlIdMatches.length >= 2) {
+      return urlIdMatches[1].substr(0, 11);
+    }
+  })
+  .filter((videoId, index, self) => videoId && isValidVideoId(videoId) && self.indexOf(videoId) === index);
+
+  const channelIds = [];
+  let match;
+  ytChannelIdRegex.lastIndex = 0;
+  while ((match = ytChannelIdRegex.exec(text)) !== null) {
+    if (channelIds.indexOf(match[1]) === -1) {
+      channelIds.push(match[1]);
+    }
+  }
+
+  return {
+    found: ytUrlMatches.length > 0,
+    videoIds,
+    playlistIds: extractPlaylistIds(text),
+    channelIds,
+  };
+}
+
+// Request that submits the hidden fields of result page forms, such as a next page button.
+// Fields of later forms win, the form that comes last sets the action and method
+export function formRequest($, forms, pageUrl) {
+  if (!forms || forms.length === 0) {
+    return;
+  }
+
+  const fields = {};
+  forms.find('input[type=hidden]').each((index, element) => {
+    fields[element.attribs.name] = element.attribs.value || '';
+  });
+  const form = forms.last();
+  const url = resolveUrl(form.attr('action') || pageUrl, pageUrl);
+  if ((form.attr('method') || 'get').toLowerCase() === 'post') {
+    return { method: 'POST', url, data: qs.stringify(fields) };
+  }
+
+  const getUrl = new URL(url);
+  Object.keys(fields).forEach(name => getUrl.searchParams.set(name, fields[name]));
+  return { method: 'GET', url: getUrl.toString() };
+}
+
+// Request of a next page link, marked up as rel=next, with a next class or only by its text
+export function nextLinkRequest($, pageUrl) {
+  let link = $('a[rel~=next], a.next, a[title="Next page"]').first();
+  if (link.length === 0) {
+    link = $('a[href]').filter((index, element) =>
+      nextLinkTexts.indexOf($(element).text().trim().toLowerCase()) !== -1
+    ).first();
+  }
+
+  const url = link.length > 0 && resolveUrl(link.attr('href'), pageUrl);
+  return url ? { method: 'GET', url } : undefined;
+}
+
+// Queries for watch urls whose video ID starts with a prefix. Prefixes come from the ID space
+// module, which mines the ones that keep finding new videos
+export function createPrefixQueries() {
+  return {
+    next() {
+      const prefix = nextSearchPrefix();
+      return { q: 'site:youtube.com/watch?v=' + prefix, prefix };
+    },
+
+    record(query, found, added) {
+      recordPrefixSearch(query.prefix, found, added);
+    },
+
+    checkpoint() {
+      return { minedPrefixes: minedPrefixEntries() };
+    },
+
+    restore(state) {
+      restoreMinedPrefixes(state.minedPrefixes || []);
+    },
+  };
+}
+
+// Queries for a random word from the words list of the next locale, limited to youtube.com
+export function createWordQueries() {
+  let wordsLists = new Map();
+  return {
+    start() {
+      wordsLists = loadWordsLists();
+    },
+
+    next(context) {
+      const locale = nextLocale(context.clusterInstanceId);
+      const wordsList = wordsLists.get(locale.name);
+      const word = wordsList[crypto.randomInt(0, wordsList.length)];
+      return { q: `site:youtube.com ${word}`, word, locale: locale.name };
+    },
+  };
+}
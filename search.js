@@ -0,0 +1,144 @@
+import { analyzeQuery } from './text.js';
+
+// Sortable fields of the query route, relevance is only available with a search term
+const sortFields = {
+  relevance: 'textScore',
+  viewCount: 'viewCountNum',
+  uploadDate: 'uploadDate',
+  lengthSeconds: 'lengthSeconds',
+};
+
+export const MAX_LIMIT = 50;
+
+// Querystring schema for the query route, fastify coerces and validates it for us
+export const searchQuerySchema = {
+  type: 'object',
+  properties: {
+    q: { type: 'string', default: '' },
+    page: { type: 'integer', minimum: 0, default: 0 },
+    limit: { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: 10 },
+    sort: { type: 'string', enum: Object.keys(sortFields) },
+    order: { type: 'string', enum: ['asc', 'desc'], default: 'desc' },
+    category: { type: 'string' },
+    channel: { type: 'string' },
+    minDuration: { type: 'integer', minimum: 0 },
+    maxDuration: { type: 'integer', minimum: 0 },
+    uploadedAfter: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+    uploadedBefore: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+    transcripts: { type: 'boolean', default: false },
+  },
+};
+
+// Channels can be filtered by full author url or by channel ID
+export function channelAuthorUrl(channel) {
+  return channel.startsWith('http') ? channel : `https://www.youtube.com/channel/${channel}`;
+}
+
+// Builds the match stage from search term and filters. The search term is analyzed like the
+// videos' fuzzy words, and any of its terms matches
+export function buildMatch({ q, category, channel, minDuration, maxDuration, uploadedAfter, uploadedBefore }) {
+  const match = {};
+  if (q) {
+    match.$text = { $search: analyzeQuery(q).join(' ') };
+  }
+
+  if (category) {
+    match.category = category;
+  }
+
+  if (channel) {
+    match.authorUrl = channelAuthorUrl(channel);
+  }
+
+  if (minDuration !== undefined || maxDuration !== undefined) {
+    match.lengthSeconds = {};
+    if (minDuration !== undefined) {
+      match.lengthSeconds.$gte = minDuration;
+    }
+    if (maxDuration !== undefined) {
+      match.lengthSeconds.$lte = maxDuration;
+    }
+  }
+
+  // Upload dates are stored as YYYY-MM-DD strings so they compare lexically
+  if (uploadedAfter || uploadedBefore) {
+    match.uploadDate = {};
+    if (uploadedAfter) {
+      match.uploadDate.$gte = uploadedAfter;
+    }
+    if (uploadedBefore) {
+      match.uploadDate.$lte = uploadedBefore;
+    }
+  }
+
+  return match;
+}
+
+// Builds the stages that sort matched videos and cut a page from them, sorting happens
+// before the facet so that pages are cut from the ranked results. Relevance sorts by the
+// textScore field, which the stages before have to add
+export function buildPageStages(params) {
+  const { q, page, limit, order } = params;
+  const sort = params.sort || (q ? 'relevance' : 'uploadDate');
+  if (sort === 'relevance' && !q) {
+    throw new Error('Sorting by relevance requires a search term');
+  }
+
+  const pipeline = [];
+
+  // Older documents store the view count as a string
+  if (sort === 'viewCount') {
+    pipeline.push({
+      $addFields: {
+        viewCountNum: { $convert: { input: '$viewCount', to: 'long', onError: null, onNull: null } },
+      },
+    });
+  }
+
+  const direction = order === 'asc' && sort !== 'relevance' ? 1 : -1;
+  pipeline.push({
+    $sort: { [sortFields[sort]]: direction, _id: 1 },
+  });
+
+  pipeline.push({
+    $facet: {
+      items: [
+        { $skip: limit * page },
+        { $limit: limit },
+        { $project: { fuzzyWords: 0, viewCountNum: 0 } },
+      ],
+      total: [
+        { $count: 'count' },
+      ],
+    },
+  });
+
+  return pipeline;
+}
+
+// Builds the aggregation pipeline for a search of the videos collection
+export function buildSearchPipeline(params) {
+  const pipeline = [{ $match: buildMatch(params) }];
+  if (params.q) {
+    pipeline.push({ $addFields: { textScore: { $meta: 'textScore' } } });
+  }
+  return [...pipeline, ...buildPageStages(params)];
+}
+
+// Runs a pipeline ending in the page stages and returns the page of results
+export async function aggregatePage(collection, pipeline, params) {
+  const [{ items, total }] = await collection.aggregate(pipeline).toArray();
+  const totalCount = total.length > 0 ? total[0].count : 0;
+  return {
+    items,
+    total: totalCount,
+    page: params.page,
+    limit: params.limit,
+    totalPages: Math.ceil(totalCount / params.limit),
+  };
+}
+
+// Searches the videos collection and returns a page of results
+export async function searchVideos(videosCollection, params) {
+  return aggregatePage(videosCollection, buildSearchPipeline(params), params);
+}
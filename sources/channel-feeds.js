@@ -0,0 +1,28 @@
+import { pollDueChannels } from '../channels.js';
+
+const youtubeHost = 'www.youtube.com';
+const CHANNEL_POLL_TIMEOUT = parseInt(process.env.CHANNEL_POLL_TIMEOUT || 15000, 10);
+
+// Polls the RSS feeds of channels that are due and crawls their videos
+export function createChannelFeedsSource() {
+  return {
+    name: 'channel-feeds',
+    enabled: !process.env.DISABLE_CHANNEL_CRAWL,
+    startDelay: ({ clusterInstanceId }) => clusterInstanceId * 2000,
+    interval: () => CHANNEL_POLL_TIMEOUT,
+
+    async tick({ channelsCollection, rateController, crawlVideo }) {
+      if (rateController.delay(youtubeHost) > 0) {
+        return 0;
+      }
+
+      let addedCount = 0;
+      await pollDueChannels(channelsCollection, 4, async videoId => {
+        if (await crawlVideo(videoId, 1, 'channel-feeds')) {
+          addedCount++;
+        }
+      });
+      return addedCount;
+    },
+  };
+}
@@ -0,0 +1,53 @@
+import { URL } from 'url';
+import { parseEngagement, parseCommentsPage } from '../innertube.js';
+import { claimUnenrichedVideos, storeEngagement, storeComments } from '../engagement.js';
+
+const youtubeHost = 'www.youtube.com';
+const ENRICHMENT_TIMEOUT = parseInt(process.env.ENRICHMENT_TIMEOUT || 10000, 10);
+const ENRICHMENT_COMMENT_PAGES = parseInt(process.env.ENRICHMENT_COMMENT_PAGES || 3, 10);
+const videoCount = 2; // Videos to enrich per tick
+const requestPriority = 4;
+
+// Queues a page of a video's comments, following continuations up to the page limit
+function queueComments(context, videoUri, continuation, page) {
+  context.queueInnertube('next', { continuation }, requestPriority, async data => {
+    const { comments, continuation: nextContinuation } = parseCommentsPage(data);
+    await storeComments(context.commentsCollection, videoUri, comments);
+    if (nextContinuation && page < ENRICHMENT_COMMENT_PAGES) {
+      queueComments(context, videoUri, nextContinuation, page + 1);
+    }
+  });
+}
+
+function queueEnrichment(context, videoUri) {
+  const videoId = new URL(videoUri).searchParams.get('v');
+  context.queueInnertube('next', { videoId }, requestPriority, async data => {
+    const engagement = parseEngagement(data);
+    await storeEngagement(context.engagementCollection, context.videosCollection, videoUri, engagement);
+    if (engagement.commentsContinuation && ENRICHMENT_COMMENT_PAGES > 0) {
+      queueComments(context, videoUri, engagement.commentsContinuation, 1);
+    }
+  });
+}
+
+// Enriches indexed videos with their like count, comment count, chapters, hashtags and top
+// level comments. The requests go through the crawler que, so they share its rate limits.
+// Discovers no videos, so its tick always resolves 0
+export function createEnrichmentSource() {
+  return {
+    name: 'enrichment',
+    enabled: !!process.env.ENABLE_ENRICHMENT,
+    startDelay: ({ clusterInstanceId }) => clusterInstanceId * 3500,
+    interval: () => ENRICHMENT_TIMEOUT,
+
+    async tick(context) {
+      if (context.rateController.delay(youtubeHost) > 0) {
+        return 0;
+      }
+
+      const videos = await claimUnenrichedVideos(context.videosCollection, videoCount);
+      videos.forEach(({ uri }) => queueEnrichment(context, uri));
+      return 0;
+    },
+  };
+}
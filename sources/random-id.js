@@ -0,0 +1,17 @@
+import { nextRandomId } from '../idspace.js';
+
+// Generates random video IDs and checks them with oembed, only
+// while the crawler que is short so known IDs are processed first
+export function createRandomIdSource() {
+  return {
+    name: 'random-id',
+    enabled: !process.env.DISABLE_RANDOMHASH,
+    maxQueueSize: 64,
+    interval: () => 50,
+
+    async tick(context) {
+      const { videoId, strategy } = nextRandomId();
+      return (await context.crawlRandomVideo(videoId, strategy)) ? 1 : 0;
+    },
+  };
+}
@@ -0,0 +1,35 @@
+import { claimDueVideos } from '../history.js';
+
+const youtubeHost = 'www.youtube.com';
+const REFRESH_TIMEOUT = parseInt(process.env.REFRESH_TIMEOUT || 5000, 10);
+const REFRESH_RECRAWL_AFTER = 60 * 60 * 1000; // Lets other instances' recent crawls of the same page count
+const videoCount = 4; // Watch pages to queue per tick
+
+// Revisits the watch pages of videos that are due for a refresh, which records their
+// view count and availability in their history and schedules the next refresh
+export function createRefreshSource() {
+  return {
+    name: 'refresh',
+    enabled: !process.env.DISABLE_REFRESH,
+    startDelay: ({ clusterInstanceId }) => clusterInstanceId * 3000,
+    interval: () => REFRESH_TIMEOUT,
+
+    async tick({ videosCollection, rateController, crawlURI }) {
+      if (rateController.delay(youtubeHost) > 0) {
+        return 0;
+      }
+
+      const dueVideos = await claimDueVideos(videosCollection, videoCount);
+      let addedCount = 0;
+      for (let i = 0; i < dueVideos.length; i++) {
+        if (await crawlURI(dueVideos[i].uri, 3, {}, {
+          type: 'refresh',
+          recrawlAfter: REFRESH_RECRAWL_AFTER,
+        })) {
+          addedCount++;
+        }
+      }
+      return addedCount;
+    },
+  };
+}
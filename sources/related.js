@@ -0,0 +1,60 @@
+import { getRelatedVideos } from '../innertube.js';
+import { claimRelated, completeRelated, queueRelated, recordRelations, seedRelated } from '../relations.js';
+import { classifyAxiosError, OK } from '../ratelimit.js';
+
+const youtubeHost = 'www.youtube.com';
+const RELATED_TIMEOUT = parseInt(process.env.RELATED_TIMEOUT || 10000, 10);
+const seedCount = 4; // Videos to start walks from when nothing is queued
+
+// Walks YouTube's related videos breadth first from seed videos out of the index, storing
+// the edges between videos and indexing the related videos with the metadata they carry
+export function createRelatedSource() {
+  return {
+    name: 'related',
+    enabled: !process.env.DISABLE_RELATED,
+    startDelay: ({ clusterInstanceId }) => clusterInstanceId * 2500,
+    interval: () => RELATED_TIMEOUT,
+
+    async tick(context) {
+      const { relationsCollection, relatedQueueCollection, videosCollection, rateController } = context;
+      if (rateController.delay(youtubeHost) > 0) {
+        return 0;
+      }
+
+      let claimed = await claimRelated(relatedQueueCollection);
+      if (!claimed && await seedRelated(relatedQueueCollection, videosCollection, seedCount) > 0) {
+        claimed = await claimRelated(relatedQueueCollection);
+      }
+      if (!claimed) {
+        return 0;
+      }
+
+      let relatedVideos;
+      try {
+        relatedVideos = await getRelatedVideos(claimed.videoId);
+        rateController.report(youtubeHost, OK).catch(console.error);
+      } catch (e) {
+        console.error('Unable to load related videos:', claimed.videoId, e.message);
+        const outcome = classifyAxiosError(e);
+        if (outcome !== OK) {
+          rateController.report(youtubeHost, outcome).catch(console.error);
+        }
+        return 0;
+      }
+
+      await recordRelations(relationsCollection, claimed.videoId, relatedVideos.map(video => video.videoId));
+      let addedCount = 0;
+      for (const video of relatedVideos) {
+        await queueRelated(relatedQueueCollection, video.videoId, claimed.depth + 1);
+        const added = video.title ?
+          await context.indexSearchVideo(video, 'related') :
+          await context.crawlVideo(video.videoId, 2, 'related');
+        if (added) {
+          addedCount++;
+        }
+      }
+      await completeRelated(relatedQueueCollection, claimed.videoId, relatedVideos.length);
+      return addedCount;
+    },
+  };
+}
@@ -0,0 +1,153 @@
+import cheerio from 'cheerio';
+import { URL } from 'url';
+import { isIdentityUsable, pickIdentity, requestAs } from '../http.js';
+import { classifyOutcome, classifyAxiosError, CAPTCHA, OK, RATE_LIMITED } from '../ratelimit.js';
+import { extractVideoIds } from '../search-engines.js';
+import { createDuckDuckGoEngine } from '../engines/duckduckgo.js';
+import { createBingEngine } from '../engines/bing.js';
+import { createStartpageEngine } from '../engines/startpage.js';
+import { createMojeekEngine } from '../engines/mojeek.js';
+import { createSearchPagesEngine } from '../engines/search-pages.js';
+
+// Search engines to search besides DuckDuckGo, comma separated: bing, startpage and mojeek
+const SEARCH_ENGINES = (process.env.SEARCH_ENGINES || '').split(',').map(name => name.trim()).filter(name => !!name);
+
+// Searches a search engine for youtube urls, paging through the result pages of a query until
+// they run out or the engine's maxPages, then starting a new query from its query generator
+export function createSearchEngineSource(engine) {
+  let nextRequest; // Next result page of the current query
+  let query;
+  let page = 0;
+  let identity; // Result pages of a query are loaded as one visitor while its proxy isn't banned
+
+  const captchaMarkers = engine.captchaMarkers || [];
+
+  return {
+    name: engine.name,
+    enabled: engine.enabled,
+    startDelay: ({ clusterInstanceId }) => clusterInstanceId * 10000, // Every 10 seconds a cluster instance will fire, immediate for ID 0
+    interval: ({ rateController }) => engine.interval() + (engine.host ? rateController.delay(engine.host) : 0),
+
+    async start(context) {
+      if (engine.queries.start) {
+        await engine.queries.start(context);
+      }
+    },
+
+    // The result page being paged through and the query generator's state survive restarts
+    checkpoint() {
+      return {
+        nextRequest,
+        query,
+        page,
+        queries: engine.queries.checkpoint && engine.queries.checkpoint(),
+      };
+    },
+
+    // Checkpoints of the DuckDuckGo source from before it searched through an engine hold its
+    // form fields instead of a request, those queries start over
+    restore(state) {
+      if (state.nextRequest && state.nextRequest.url) {
+        nextRequest = state.nextRequest;
+        query = state.query;
+        page = state.page || 0;
+      }
+      if (engine.queries.restore) {
+        engine.queries.restore(state.queries || state);
+      }
+    },
+
+    async tick(context) {
+      const { rateController } = context;
+      if (engine.host && rateController.delay(engine.host) > 0) {
+        return 0;
+      }
+
+      if (!nextRequest) {
+        query = engine.queries.next(context);
+        page = 0;
+      }
+      const request = nextRequest || engine.request(query);
+      const host = new URL(request.url).host;
+      if (rateController.delay(host) > 0) {
+        nextRequest = request;
+        return 0;
+      }
+
+      if (!nextRequest || !isIdentityUsable(identity)) {
+        identity = pickIdentity();
+      }
+      let data;
+      let outcome = OK;
+      try {
+        console.log(`Searching ${engine.name} for:`, query.q, 'page', page + 1);
+        data = (await requestAs(identity, { ...request, timeout: 15000 })).data;
+        data = typeof data === 'string' ? data : JSON.stringify(data);
+        outcome = classifyOutcome({ statusCode: 200, body: data });
+        if (outcome === OK && captchaMarkers.some(marker => data.indexOf(marker) !== -1)) {
+          outcome = CAPTCHA;
+        }
+      } catch (e) {
+        console.error(`Unable to search ${engine.name}, error:`, e.message);
+
+        // Search engine errors that aren't recognised are treated as rate limiting too
+        outcome = classifyAxiosError(e);
+        if (outcome === OK) {
+          outcome = RATE_LIMITED;
+        }
+      }
+      rateController.report(host, outcome).catch(console.error);
+
+      // Retry the same request once the backoff is over
+      if (outcome !== OK) {
+        nextRequest = request;
+        return 0;
+      }
+
+      // Parse HTML contents with cheerio to find the next result page and the videos linked
+      const $ = cheerio.load(data);
+      page++;
+      nextRequest = page < (engine.maxPages || Infinity) ? engine.nextPage($, request) : undefined;
+
+      const { found, videoIds, playlistIds } = extractVideoIds($, data, request.url);
+      if (!found) {
+        console.error(`Unable to parse ${engine.name} YT matches, assuming no more results. Switching query...`);
+        nextRequest = undefined;
+        if (engine.queries.record) {
+          engine.queries.record(query, 0, 0);
+        }
+        return 0;
+      }
+
+      // Consider these URLS as highest priority (0)
+      let addedCount = 0;
+      for (let i = 0; i < videoIds.length; i++) {
+        if (await context.crawlVideo(videoIds[i], 0, engine.name, query.locale)) {
+          addedCount++;
+        }
+      }
+      console.log('Added', addedCount, engine.name, 'videos');
+      if (engine.queries.record) {
+        engine.queries.record(query, videoIds.length, addedCount);
+      }
+      await context.crawlPlaylistIds(playlistIds, engine.name);
+      return addedCount;
+    },
+  };
+}
+
+// Sources of the built in engines. DuckDuckGo searches unless disabled, Bing, Startpage and Mojeek
+// when listed in SEARCH_ENGINES and the search pages engine when SEARCH_PAGE_URLS is set. Engines
+// that aren't enabled are still registered, so they can be enabled at runtime
+export function createSearchEngineSources() {
+  const searchEnabled = !process.env.DISABLE_SEARCH;
+  const engines = [
+    { ...createDuckDuckGoEngine(), enabled: searchEnabled && !process.env.DISABLE_DUCK_SEARCH },
+    ...[createBingEngine(), createStartpageEngine(), createMojeekEngine()]
+      .map(engine => ({ ...engine, enabled: searchEnabled && SEARCH_ENGINES.indexOf(engine.name) !== -1 })),
+  ];
+  if (process.env.SEARCH_PAGE_URLS) {
+    engines.push({ ...createSearchPagesEngine(), enabled: searchEnabled });
+  }
+  return engines.map(createSearchEngineSource);
+}
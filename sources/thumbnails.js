@@ -0,0 +1,42 @@
+import { URL } from 'url';
+import { claimUnhashedVideos, fetchThumbnailHashes, storeThumbnailHashes } from '../thumbnails.js';
+import { classifyAxiosError, OK } from '../ratelimit.js';
+
+const thumbnailHost = 'i.ytimg.com';
+const THUMBNAIL_TIMEOUT = parseInt(process.env.THUMBNAIL_TIMEOUT || 2000, 10);
+const videoCount = 4; // Thumbnails to hash per tick
+
+// Downloads the thumbnails of indexed videos and stores their perceptual hashes, which the
+// similar videos route and duplicate report compare. Discovers no videos, so its tick always resolves 0
+export function createThumbnailsSource() {
+  return {
+    name: 'thumbnails',
+    enabled: !!process.env.ENABLE_THUMBNAILS,
+    startDelay: ({ clusterInstanceId }) => clusterInstanceId * 1000,
+    interval: () => THUMBNAIL_TIMEOUT,
+
+    async tick({ videosCollection, thumbnailsCollection, rateController }) {
+      if (rateController.delay(thumbnailHost) > 0) {
+        return 0;
+      }
+
+      const videos = await claimUnhashedVideos(videosCollection, videoCount);
+      for (const { uri } of videos) {
+        try {
+          const hashes = await fetchThumbnailHashes(new URL(uri).searchParams.get('v'));
+          await storeThumbnailHashes(thumbnailsCollection, videosCollection, uri, hashes);
+          rateController.report(thumbnailHost, OK).catch(console.error);
+        } catch (e) {
+          // The claim runs out and the video is hashed again later
+          console.error('Unable to hash thumbnail:', uri, e.message);
+          const outcome = classifyAxiosError(e);
+          if (outcome !== OK) {
+            rateController.report(thumbnailHost, outcome).catch(console.error);
+            break;
+          }
+        }
+      }
+      return 0;
+    },
+  };
+}
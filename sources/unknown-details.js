@@ -0,0 +1,40 @@
+const WATCH_RECRAWL_AFTER = 24 * 60 * 60 * 1000; // Retry full info gathers for a video at most daily
+const videoCount = 4; // Watch pages to queue per tick
+
+// Gathers full video information from youtube for videos without a title or description.
+// Since the rate limits kick in often for non-oembed urls, we have to stagger full info requests
+export function createUnknownDetailsSource() {
+  let fullInfoGatherTimeout;
+
+  return {
+    name: 'unknown-details',
+    enabled: !process.env.DISABLE_UNNOWN_GATHER,
+    backpressure: false, // Only queues a few urls per tick
+    startDelay: ({ clusterInstanceId }) => clusterInstanceId * 1000,
+    interval: () => videoCount * 2 * fullInfoGatherTimeout,
+
+    async start({ clusterInstanceId }) {
+      fullInfoGatherTimeout = parseInt(process.env.FULL_INFO_GATHER_TIMEOUT || 250 + (500 * Math.random() * clusterInstanceId), 10);
+    },
+
+    async tick({ videos, crawlURI }) {
+      // Fetch more candidates than needed since some will have been tried recently
+      console.log('Gathering video details for unknown titles/descriptions...');
+      const unknownVideos = await videos.findUnknown(videoCount * 8);
+
+      let addedCount = 0;
+      for (let i = 0; i < unknownVideos.length && addedCount < videoCount; i++) {
+        if (await crawlURI(unknownVideos[i].uri, 0, {
+          timeout: addedCount * fullInfoGatherTimeout,
+        }, {
+          type: 'watch',
+          recrawlAfter: WATCH_RECRAWL_AFTER,
+        })) {
+          addedCount++;
+        }
+      }
+      console.log('Added', addedCount, 'full meta urls to crawl');
+      return addedCount;
+    },
+  };
+}
@@ -0,0 +1,234 @@
+import cheerio from 'cheerio';
+import { URL } from 'url';
+import { httpRequest } from '../http.js';
+import { recordChannel } from '../channels.js';
+import { classifyOutcome, classifyAxiosError, OK } from '../ratelimit.js';
+import { extractVideoIds } from '../search-engines.js';
+import { inScope, isAllowed, isXmlDocument, normalizeUrl, pageLinks, parseRobots, parseXmlLinks, unreachableRobots } from '../webcrawl.js';
+
+// Where the web crawl starts, comma separated domains or urls of pages, sitemaps and RSS or Atom feeds
+const WEB_SEEDS = (process.env.WEB_SEEDS || '').split(',').map(seed => seed.trim()).filter(seed => !!seed);
+
+// How many links away from a seed pages are crawled, and whether links are followed on the seed's
+// host, its domain or anywhere
+const WEB_CRAWL_DEPTH = parseInt(process.env.WEB_CRAWL_DEPTH || 2, 10);
+const WEB_CRAWL_SCOPE = process.env.WEB_CRAWL_SCOPE || 'domain';
+const WEB_CRAWL_TIMEOUT = parseInt(process.env.WEB_CRAWL_TIMEOUT || 2000, 10);
+
+// How long robots.txt is cached, and retried after it couldn't be fetched
+const ROBOTS_TTL = 24 * 60 * 60 * 1000;
+const ROBOTS_RETRY = 60 * 60 * 1000;
+
+// How long after the queue ran out the seeds are crawled again, for new sitemap and feed entries
+const RESEED_INTERVAL = 6 * 60 * 60 * 1000;
+
+const MAX_QUEUED_PAGES = 10000;
+const MAX_SEEN_PAGES = 100000;
+const MAX_PAGE_SIZE = 5 * 1024 * 1024;
+
+// Pages one tick passes over, for robots.txt or their host backing off, before it gives up
+const MAX_SKIPS_PER_TICK = 20;
+
+// Turns a seed into a page to crawl, domains start from their homepage
+function seedPage(seed) {
+  const url = normalizeUrl(/^https?:\/\//.test(seed) ? seed : `https://${seed}/`);
+  return { url, depth: 0, scope: new URL(url).host };
+}
+
+// Crawls web pages from the seeds for embedded and linked YouTube videos, channels and playlists,
+// following links in scope up to WEB_CRAWL_DEPTH while respecting robots.txt. Sitemaps and feeds
+// are crawled for the pages they list. Videos are stored with the page that referred to them
+export function createWebSource() {
+  const queue = []; // Pages to crawl, breadth first: { url, depth, scope }
+  let seededAt = 0;
+  const seen = new Set(); // Pages queued so far, the oldest are forgotten first
+  const seedHosts = new Set(WEB_SEEDS.map(seed => seedPage(seed).scope));
+  const robotsCache = new Map(); // Host to { robots, expiresAt }
+  const nextRequestAt = new Map(); // Host to the time its crawl delay is over
+
+  function enqueue(page) {
+    if (seen.has(page.url) || queue.length >= MAX_QUEUED_PAGES) {
+      return;
+    }
+    seen.add(page.url);
+    if (seen.size > MAX_SEEN_PAGES) {
+      seen.delete(seen.values().next().value);
+    }
+    queue.push(page);
+  }
+
+  function seed() {
+    seen.clear();
+    seededAt = Date.now();
+    WEB_SEEDS.forEach(seed => enqueue(seedPage(seed)));
+  }
+
+  // Fetches and caches a host's robots.txt. Hosts without one may be crawled entirely, the sitemaps
+  // robots.txt of a seed host lists are crawled as well
+  async function robotsOf(url) {
+    const { protocol, host } = new URL(url);
+    const cached = robotsCache.get(host);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.robots;
+    }
+
+    let robots;
+    let ttl = ROBOTS_TTL;
+    try {
+      const { data } = await httpRequest({
+        url: `${protocol}//${host}/robots.txt`,
+        timeout: 10000,
+        maxContentLength: MAX_PAGE_SIZE,
+        responseType: 'text',
+        transformResponse: [data => data],
+      });
+      robots = parseRobots(data);
+      if (seedHosts.has(host)) {
+        robots.sitemaps.forEach(sitemap => enqueue({ url: normalizeUrl(sitemap), depth: 0, scope: host }));
+      }
+    } catch (e) {
+      if (e.response && e.response.status >= 400 && e.response.status < 500) {
+        robots = parseRobots('');
+      } else {
+        console.error('Unable to fetch robots.txt of', host, e.message);
+        robots = unreachableRobots;
+        ttl = ROBOTS_RETRY;
+      }
+    }
+    robotsCache.set(host, { robots, expiresAt: Date.now() + ttl });
+    return robots;
+  }
+
+  // Queues the pages a sitemap or feed lists, or the links in scope on a page
+  function queueLinks(page, body, $) {
+    if (isXmlDocument(body)) {
+      let links;
+      try {
+        links = parseXmlLinks(body);
+      } catch (e) {
+        console.error('Unable to parse sitemap or feed', page.url, e.message);
+        return;
+      }
+
+      // Listed pages are crawled wherever they are, with their own host as scope
+      [...links.sitemaps, ...links.pages].forEach(url => {
+        try {
+          const normalized = normalizeUrl(url);
+          enqueue({ url: normalized, depth: page.depth, scope: new URL(normalized).host });
+        } catch (e) {
+          // Not a url
+        }
+      });
+      return;
+    }
+
+    if (page.depth < WEB_CRAWL_DEPTH) {
+      pageLinks($, page.url)
+        .filter(url => inScope(url, page.scope, WEB_CRAWL_SCOPE))
+        .forEach(url => enqueue({ url, depth: page.depth + 1, scope: page.scope }));
+    }
+  }
+
+  // Takes the next page robots.txt allows, pages of hosts that are backing off go to the back
+  async function nextPage(context) {
+    for (let i = 0; i < MAX_SKIPS_PER_TICK && queue.length > 0; i++) {
+      const page = queue.shift();
+      const { host } = new URL(page.url);
+      if (context.rateController.delay(host) > 0 || (nextRequestAt.get(host) || 0) > Date.now()) {
+        queue.push(page);
+        continue;
+      }
+
+      if (isAllowed(await robotsOf(page.url), page.url)) {
+        return page;
+      }
+    }
+  }
+
+  return {
+    name: 'web',
+    enabled: WEB_SEEDS.length > 0,
+    interval: () => WEB_CRAWL_TIMEOUT,
+
+    async start() {
+      if (queue.length === 0) {
+        seed();
+      }
+    },
+
+    // Pages still to crawl survive restarts
+    checkpoint() {
+      return { queue, seededAt };
+    },
+
+    restore(state) {
+      (state.queue || []).forEach(enqueue);
+      seededAt = state.seededAt || 0;
+    },
+
+    async tick(context) {
+      if (queue.length === 0) {
+        if (Date.now() - seededAt < RESEED_INTERVAL) {
+          return 0;
+        }
+        seed();
+      }
+
+      const page = await nextPage(context);
+      if (!page) {
+        return 0;
+      }
+
+      const { host } = new URL(page.url);
+      const robots = robotsCache.get(host).robots;
+      nextRequestAt.set(host, Date.now() + robots.crawlDelay);
+
+      let response;
+      try {
+        console.log('Crawling web page', page.url);
+        response = await httpRequest({
+          url: page.url,
+          timeout: 15000,
+          maxContentLength: MAX_PAGE_SIZE,
+          responseType: 'text',
+          transformResponse: [data => data],
+        });
+      } catch (e) {
+        console.error('Unable to crawl web page', page.url, e.message);
+        const outcome = classifyAxiosError(e);
+        if (outcome !== OK) {
+          context.rateController.report(host, outcome).catch(console.error);
+        }
+        return 0;
+      }
+
+      const body = String(response.data);
+      const outcome = classifyOutcome({ statusCode: response.status, body });
+      context.rateController.report(host, outcome).catch(console.error);
+      const contentType = response.headers['content-type'] || '';
+      if (outcome !== OK || !/html|xml/.test(contentType)) {
+        return 0;
+      }
+
+      const $ = cheerio.load(body, isXmlDocument(body) ? { xmlMode: true } : {});
+      queueLinks(page, body, $);
+
+      // Videos on the page are crawled like search results and stored with the page as referrer
+      const { videoIds, playlistIds, channelIds } = extractVideoIds($, body, page.url);
+      let addedCount = 0;
+      for (let i = 0; i < videoIds.length; i++) {
+        if (await context.crawlVideo(videoIds[i], 1, 'web', undefined, page.url)) {
+          addedCount++;
+        }
+      }
+      if (context.channelsCollection) {
+        channelIds.forEach(channelId => recordChannel(context.channelsCollection, { channelId }).catch(console.error));
+      }
+      await context.crawlPlaylistIds(playlistIds, 'web');
+      if (videoIds.length > 0) {
+        console.log('Added', addedCount, 'of', videoIds.length, 'videos on', page.url);
+      }
+      return addedCount;
+    },
+  };
+}
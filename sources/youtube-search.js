@@ -0,0 +1,169 @@
+import crypto from 'crypto';
+import { searchYoutube, getQuerySuggestions } from '../innertube.js';
+import { recordChannel } from '../channels.js';
+import { classifyAxiosError, OK } from '../ratelimit.js';
+import { defaultLocale, findLocale, loadWordsLists, nextLocale, recordLocaleSearch } from '../locales.js';
+
+const youtubeHost = 'www.youtube.com';
+
+// Random timeout for searches to spread requests across instances
+const YOUTUBE_TIMEOUT_MIN = parseInt(process.env.YOUTUBE_TIMEOUT_MIN || 500, 10);
+const YOUTUBE_SEARCH_PAGES = parseInt(process.env.YOUTUBE_SEARCH_PAGES || 2, 10);
+const youtubeSearchTimeout = () => Math.floor(YOUTUBE_TIMEOUT_MIN + Math.random() * YOUTUBE_TIMEOUT_MIN);
+
+// Crawls user inputted queries from the database
+async function getManualQuery(queries) {
+  if (process.env.DISABLE_MANUALQUERY) {
+    return;
+  }
+
+  // Find a query that has not been crawled yet, set its status as crawled and then search youtube
+  return queries.takeUncrawled();
+}
+
+// Searches youtube for manual queries from the database, query suggestions and random
+// words from the words list of the tick's locale. Search results are indexed with the metadata
+// they carry. Suggested queries are searched in the locale they were suggested in
+export function createYoutubeSearchSource() {
+  let wordsLists = new Map(); // Locale name to its words
+  const suggestedQueries = []; // { query, locale } with the locale's name
+  const ytQueryCache = []; // Queries prefixed with the locale they were searched in
+
+  // Gets suggestions and adds them to the suggested query list
+  async function crawlSuggestions(query, locale) {
+    console.log('Crawling suggestions', query, 'in', locale.name)
+    try {
+      const suggestions = await getQuerySuggestions(query, locale);
+      if (suggestions.length > 0 && suggestedQueries.length === 0) {
+        for (let i = 0; i < suggestions.length; i++) {
+          if (!suggestedQueries.some(suggested => suggested.query === suggestions[i] && suggested.locale === locale.name)) {
+            suggestedQueries.push({ query: suggestions[i], locale: locale.name });
+          }
+        }
+      }
+    } catch (e) {
+      console.error('Unable to get suggestions:', e.message)
+    }
+  }
+
+  // Searches a query string on youtube in a locale and adds to crawler, source says where the query came from
+  async function addFromYoutubeSearch(context, randomQueryString, hasSuggestedQuery, source, locale, searchOptions = {}) {
+    // Already crawled this recently
+    const cacheKey = `${locale.name}:${randomQueryString}`;
+    if (ytQueryCache.indexOf(cacheKey) !== -1) {
+      return 0;
+    }
+
+    console.log('Searching YouTube for:', randomQueryString, 'in', locale.name);
+
+    // Try get query suggestions for extra search queries
+    if (!process.env.DISABLE_SUGGESTIONS && !hasSuggestedQuery && suggestedQueries.length === 0) {
+      crawlSuggestions(randomQueryString, locale);
+    }
+
+    // Ensure we dont crawl again
+    ytQueryCache.push(cacheKey);
+    if (ytQueryCache.length > 20000) {
+      ytQueryCache.length = 0;
+    }
+
+    // Search youtube for this query string
+    let addedCount = 0;
+    try {
+      const results = await searchYoutube(randomQueryString, {
+        maxPages: YOUTUBE_SEARCH_PAGES,
+        locale,
+        ...searchOptions,
+      });
+      for (let i = 0; i < results.length; i++) {
+        const result = results[i];
+        if (result.type === 'video' && result.videoId) {
+          // Results with a title carry enough metadata to skip the oembed request
+          const added = result.title ?
+            await context.indexSearchVideo(result, source, locale.name) :
+            await context.crawlVideo(result.videoId, 1, source, locale.name);
+          if (added) {
+            addedCount++;
+          }
+        } else if (result.type === 'channel' && result.channelId && context.channelsCollection) {
+          recordChannel(context.channelsCollection, {
+            channelId: result.channelId,
+            name: result.title,
+          }).catch(console.error);
+        } else if (result.type === 'playlist' && result.playlistId) {
+          await context.crawlPlaylistIds([result.playlistId], 'search');
+        }
+      }
+      console.log('Added', addedCount, 'videos with query', randomQueryString);
+      recordLocaleSearch(locale, addedCount);
+      context.rateController.report(youtubeHost, OK).catch(console.error);
+    } catch (e) {
+      console.error('Unable to crawl random search:', e.message)
+
+      // Allow the query to be searched again once YouTube stops throttling us
+      const outcome = classifyAxiosError(e);
+      if (outcome !== OK) {
+        ytQueryCache.splice(ytQueryCache.indexOf(cacheKey), 1);
+        context.rateController.report(youtubeHost, outcome).catch(console.error);
+      }
+    }
+    return addedCount;
+  }
+
+  return {
+    name: 'youtube-search',
+    enabled: !process.env.DISABLE_SEARCH && !process.env.DISABLE_YT_SEARCH,
+    startDelay: ({ clusterInstanceId }) => clusterInstanceId * 1500,
+    interval: youtubeSearchTimeout,
+
+    // Load the words lists for random searches
+    async start() {
+      wordsLists = loadWordsLists();
+    },
+
+    async stop() {
+      wordsLists = new Map();
+    },
+
+    // Suggestions still to search and recently searched queries survive restarts
+    checkpoint() {
+      return { suggestedQueries, ytQueryCache };
+    },
+
+    // Suggestions saved before there were locales are plain strings, they go to the default locale.
+    // Ones of locales no longer configured are dropped
+    restore(state) {
+      suggestedQueries.push(...(state.suggestedQueries || [])
+        .map(suggested => typeof suggested === 'string' ? { query: suggested, locale: defaultLocale().name } : suggested)
+        .filter(suggested => !!findLocale(suggested.locale)));
+      ytQueryCache.push(...(state.ytQueryCache || []));
+    },
+
+    // Gets a manual query, suggested query or random word from the dictionary and searches it
+    async tick(context) {
+      if (context.rateController.delay(youtubeHost) > 0) {
+        console.log('YouTube is throttled, skipping youtube video search');
+        return 0;
+      }
+
+      const manualQuery = await getManualQuery(context.queries);
+      const hasSuggestedQuery = !manualQuery && suggestedQueries.length > 0;
+      let locale = nextLocale(context.clusterInstanceId);
+      let queryString;
+      if (manualQuery) {
+        queryString = manualQuery;
+      } else if (hasSuggestedQuery) {
+        // Get suggested query, searched in the locale it was suggested in
+        const suggested = suggestedQueries.pop();
+        queryString = suggested.query;
+        locale = findLocale(suggested.locale) || locale;
+      } else {
+        // Get random word
+        const wordsList = wordsLists.get(locale.name);
+        queryString = wordsList[crypto.randomInt(0, wordsList.length)];
+      }
+      const source = manualQuery ? 'manual-query' : (hasSuggestedQuery ? 'suggestions' : 'youtube-search');
+      return addFromYoutubeSearch(context, queryString, hasSuggestedQuery, source, locale);
+    },
+  };
+}
@@ -0,0 +1,16 @@
+// Creates the store selected by the STORE env var: mongodb (the default), sqlite or postgres.
+// A store has videos, queries, frontier and checkpoint stores, plus a MongoDB db for the features that need one.
+// Stores are imported when selected so the database drivers that aren't used don't have to load
+export async function createStore(type = process.env.STORE || 'mongodb') {
+  if (type === 'sqlite') {
+    const { createSqliteStore } = await import('./stores/sqlite.js');
+    return createSqliteStore(process.env.SQLITE_PATH || './yt-indexer.db');
+  } else if (type === 'postgres') {
+    const { createPostgresStore } = await import('./stores/postgres.js');
+    return createPostgresStore(process.env.POSTGRES_URI);
+  } else if (type === 'mongodb') {
+    const { createMongoStore } = await import('./stores/mongodb.js');
+    return createMongoStore(process.env.MONGODB_URI);
+  }
+  throw new Error(`Unknown store: ${type}`);
+}
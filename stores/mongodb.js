@@ -0,0 +1,167 @@
+import { MongoClient } from 'mongodb';
+import { createMongoFrontier } from '../frontier.js';
+import { searchVideos } from '../search.js';
+
+const dbName = 'yt-indexer'; // Database Name
+
+function createMongoVideoStore(videosCollection) {
+  return {
+    async init() {
+      console.log('Creating indices on videos collection...');
+      await videosCollection.createIndex({ uri: 1 }, { unique: true });
+
+      // Fuzzy words used to be a single string, its index has to go before the weighted one is created.
+      // Terms are already stemmed, and language_override is moved off the language field we store
+      if (await videosCollection.indexExists('fuzzyWords_text')) {
+        await videosCollection.dropIndex('fuzzyWords_text');
+      }
+      await videosCollection.createIndex({
+        'fuzzyWords.title': 'text',
+        'fuzzyWords.author': 'text',
+        'fuzzyWords.description': 'text',
+      }, {
+        name: 'fuzzyWords_fields',
+        weights: { 'fuzzyWords.title': 10, 'fuzzyWords.author': 5, 'fuzzyWords.description': 1 },
+        default_language: 'none',
+        language_override: 'textLanguage',
+      });
+      await videosCollection.createIndex({ category: 1, uploadDate: -1 });
+      await videosCollection.createIndex({ authorUrl: 1, uploadDate: -1 });
+      await videosCollection.createIndex({ uploadDate: -1 });
+      await videosCollection.createIndex({ viewCount: -1 });
+      await videosCollection.createIndex({ lengthSeconds: 1 });
+      await videosCollection.createIndex({ updatedAt: 1, _id: 1 });
+    },
+
+    // Inserts or updates a video by uri, onInsert fields are only set on new videos.
+    // Resolves the previous author url as { authorUrl }, or null for new videos
+    async upsert(video, onInsert = {}) {
+      const update = { $set: video };
+      if (Object.keys(onInsert).length > 0) {
+        update.$setOnInsert = onInsert;
+      }
+
+      const { value } = await videosCollection.findOneAndUpdate({ uri: video.uri }, update, {
+        upsert: true,
+        projection: { authorUrl: 1 },
+      });
+      return value;
+    },
+
+    // Videos we only know the uri of
+    async findUnknown(limit) {
+      return videosCollection.find({
+        $and: [{
+          $or: [
+            { title: null },
+            { title: '' },
+          ]
+        }, {
+          $or: [
+            { description: null },
+            { description: '' },
+          ]
+        }]
+      }).limit(limit).toArray();
+    },
+
+    async search(params) {
+      return searchVideos(videosCollection, params);
+    },
+
+    // Every video's text fields, for rebuilding their fuzzy words
+    async *scan(batchSize = 1000) {
+      yield* videosCollection.find({}, {
+        projection: { _id: 0, uri: 1, title: 1, authorName: 1, description: 1 },
+        batchSize,
+      });
+    },
+  };
+}
+
+function createMongoQueryStore(queriesCollection) {
+  return {
+    async init() {
+      console.log('Creating indices on queries collection...');
+      await queriesCollection.createIndex({ query: 1 }, { unique: true });
+      await queriesCollection.createIndex({ updatedAt: 1, _id: 1 });
+    },
+
+    // Stores a query for the crawlers to search, recrawl makes it due again if it was searched before
+    async add(query, recrawl = false) {
+      const now = new Date();
+      const update = {
+        $set: {
+          query,
+          date: now,
+          updatedAt: now,
+        },
+      };
+      if (recrawl) {
+        update.$unset = { crawlDate: '' };
+      }
+      await queriesCollection.updateOne({ query }, update, { upsert: true });
+    },
+
+    // Finds a query that has not been searched yet and marks it as searched
+    async takeUncrawled() {
+      const now = new Date();
+      const { value } = await queriesCollection.findOneAndUpdate({
+        crawlDate: { $exists: false },
+      }, {
+        $set: { crawlDate: now, updatedAt: now },
+      });
+      return value && value.query;
+    },
+  };
+}
+
+// Saved state of cluster instances that shut down, taken back by the instance when it starts again
+function createMongoCheckpointStore(checkpointsCollection) {
+  return {
+    async init() {
+      await checkpointsCollection.createIndex({ key: 1 }, { unique: true });
+    },
+
+    async save(key, state) {
+      await checkpointsCollection.updateOne({ key }, {
+        $set: { key, state, savedAt: new Date() },
+      }, { upsert: true });
+    },
+
+    // Resolves the saved state and removes it, so it is only restored once
+    async take(key) {
+      const { value } = await checkpointsCollection.findOneAndDelete({ key });
+      return value ? value.state : undefined;
+    },
+  };
+}
+
+// MongoDB store, the only one with a db for channels, playlists, video history and exports
+export function createMongoStore(url) {
+  const client = new MongoClient(url, {
+    maxPoolSize: 3,
+    minPoolSize: 1,
+  });
+  const db = client.db(dbName);
+
+  return {
+    db,
+    videos: createMongoVideoStore(db.collection('videos')),
+    queries: createMongoQueryStore(db.collection('queries')),
+    frontier: createMongoFrontier(db.collection('frontier')),
+    checkpoints: createMongoCheckpointStore(db.collection('checkpoints')),
+
+    async init() {
+      await client.connect();
+      console.log('Connected successfully to database');
+      await this.queries.init();
+      await this.videos.init();
+      await this.checkpoints.init();
+    },
+
+    async close() {
+      await client.close();
+    },
+  };
+}
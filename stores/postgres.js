@@ -0,0 +1,335 @@
+import pg from 'pg';
+import { leaseFields, QUEUED } from '../frontier.js';
+import { splitVideo, rowToVideo, searchTerms, resolveSort, buildVideoFilters, pageResult } from './sql.js';
+
+// Counts and view counts are bigints, which pg returns as strings by default
+pg.types.setTypeParser(pg.types.builtins.INT8, value => parseInt(value, 10));
+
+// Full text query matching any of the search terms, like MongoDB's $text
+function tsQuery(q) {
+  return searchTerms(q).join(' | ');
+}
+
+// Title, author and description terms are weighted like MongoDB's text index weights them
+function weightedVector(placeholder, weight) {
+  return `setweight(to_tsvector('simple', ${placeholder}), '${weight}')`;
+}
+
+function createPostgresVideoStore(pool) {
+  return {
+    async init() {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS videos (
+          uri TEXT PRIMARY KEY,
+          title TEXT,
+          description TEXT,
+          author_name TEXT,
+          author_url TEXT,
+          length_seconds INTEGER,
+          view_count BIGINT,
+          category TEXT,
+          upload_date TEXT,
+          publish_date TEXT,
+          updated_at TIMESTAMPTZ,
+          fuzzy_words TSVECTOR,
+          extra JSONB NOT NULL DEFAULT '{}'
+        );
+        CREATE INDEX IF NOT EXISTS videos_fuzzy_words ON videos USING GIN (fuzzy_words);
+        CREATE INDEX IF NOT EXISTS videos_category ON videos (category, upload_date);
+        CREATE INDEX IF NOT EXISTS videos_author_url ON videos (author_url, upload_date);
+        CREATE INDEX IF NOT EXISTS videos_upload_date ON videos (upload_date);
+        CREATE INDEX IF NOT EXISTS videos_view_count ON videos (view_count);
+        CREATE INDEX IF NOT EXISTS videos_length_seconds ON videos (length_seconds);
+        CREATE INDEX IF NOT EXISTS videos_updated_at ON videos (updated_at);
+      `);
+    },
+
+    // The previous row is read in the same statement, so the author url is the one before this update
+    async upsert(video, onInsert = {}) {
+      const insert = splitVideo({ ...onInsert, ...video });
+      const update = splitVideo(video);
+      const values = [];
+      const param = value => {
+        values.push(value);
+        return `$${values.length}`;
+      };
+
+      const columns = Object.keys(insert.columns);
+      const insertValues = columns.map(column => param(insert.columns[column]));
+      const updates = Object.keys(update.columns)
+        .filter(column => column !== 'uri')
+        .map(column => `${column} = EXCLUDED.${column}`);
+      if (insert.fuzzyWords !== undefined) {
+        const { title, author, description } = insert.fuzzyWords;
+        columns.push('fuzzy_words');
+        insertValues.push(`${weightedVector(param(title), 'A')} || ${weightedVector(param(author), 'B')} || ${weightedVector(param(description), 'D')}`);
+        updates.push('fuzzy_words = EXCLUDED.fuzzy_words');
+      }
+      updates.push(`extra = videos.extra || ${param(JSON.stringify(update.extra))}::jsonb`);
+
+      const { rows: [row] } = await pool.query(`
+        WITH previous AS (SELECT author_url FROM videos WHERE uri = ${param(video.uri)})
+        INSERT INTO videos (${columns.join(', ')}, extra)
+        VALUES (${insertValues.join(', ')}, ${param(JSON.stringify(insert.extra))}::jsonb)
+        ON CONFLICT (uri) DO UPDATE SET ${updates.join(', ')}
+        RETURNING EXISTS (SELECT 1 FROM previous) AS existed, (SELECT author_url FROM previous) AS author_url
+      `, values);
+      return row.existed ? { authorUrl: row.author_url } : null;
+    },
+
+    async findUnknown(limit) {
+      const { rows } = await pool.query(`
+        SELECT uri FROM videos
+        WHERE (title IS NULL OR title = '') AND (description IS NULL OR description = '')
+        LIMIT $1
+      `, [limit]);
+      return rows;
+    },
+
+    async search(params) {
+      const { q, page, limit } = params;
+      const { sort, column, direction } = resolveSort(params);
+      const values = [];
+      const param = value => {
+        values.push(value);
+        return `$${values.length}`;
+      };
+
+      const clauses = buildVideoFilters(params, param);
+      let rank;
+      if (q) {
+        const query = tsQuery(q);
+        if (!query) {
+          return pageResult([], 0, params);
+        }
+        const placeholder = param(query);
+        clauses.push(`fuzzy_words @@ to_tsquery('simple', ${placeholder})`);
+        rank = `ts_rank(fuzzy_words, to_tsquery('simple', ${placeholder}))`;
+      }
+
+      // Nulls sort as the lowest values like they do in MongoDB
+      const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+      const orderBy = sort === 'relevance' ? `${rank} DESC` : `${column} ${direction} NULLS ${direction === 'ASC' ? 'FIRST' : 'LAST'}`;
+      const filterValues = [...values];
+      const [{ rows: [{ count }] }, { rows }] = await Promise.all([
+        pool.query(`SELECT COUNT(*) AS count FROM videos ${where}`, filterValues),
+        pool.query(`
+          SELECT * FROM videos ${where}
+          ORDER BY ${orderBy}, uri
+          LIMIT ${param(limit)} OFFSET ${param(limit * page)}
+        `, values),
+      ]);
+      return pageResult(rows.map(row => {
+        const { fuzzy_words, ...rest } = row;
+        return rowToVideo(rest);
+      }), count, params);
+    },
+
+    // Every video's text fields, for rebuilding their fuzzy words. Read in batches by uri
+    // so no cursor is held open while the rows get updated
+    async *scan(batchSize = 1000) {
+      let lastUri = '';
+      while (true) {
+        const { rows } = await pool.query(`
+          SELECT uri, title, author_name, description FROM videos
+          WHERE uri > $1 ORDER BY uri LIMIT $2
+        `, [lastUri, batchSize]);
+        if (rows.length === 0) {
+          return;
+        }
+
+        lastUri = rows[rows.length - 1].uri;
+        for (const row of rows) {
+          yield rowToVideo(row);
+        }
+      }
+    },
+  };
+}
+
+function createPostgresQueryStore(pool) {
+  return {
+    async init() {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS queries (
+          query TEXT PRIMARY KEY,
+          date TIMESTAMPTZ,
+          crawl_date TIMESTAMPTZ
+        );
+        CREATE INDEX IF NOT EXISTS queries_crawl_date ON queries (crawl_date);
+      `);
+    },
+
+    async add(query, recrawl = false) {
+      await pool.query(`
+        INSERT INTO queries (query, date) VALUES ($1, now())
+        ON CONFLICT (query) DO UPDATE SET date = EXCLUDED.date${recrawl ? ', crawl_date = NULL' : ''}
+      `, [query]);
+    },
+
+    async takeUncrawled() {
+      const { rows } = await pool.query(`
+        UPDATE queries SET crawl_date = now()
+        WHERE query = (SELECT query FROM queries WHERE crawl_date IS NULL LIMIT 1 FOR UPDATE SKIP LOCKED)
+        RETURNING query
+      `);
+      return rows.length > 0 ? rows[0].query : undefined;
+    },
+  };
+}
+
+// Saved state of cluster instances that shut down
+function createPostgresCheckpointStore(pool) {
+  return {
+    async init() {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS checkpoints (
+          key TEXT PRIMARY KEY,
+          state JSONB,
+          saved_at TIMESTAMPTZ
+        );
+      `);
+    },
+
+    async save(key, state) {
+      await pool.query(`
+        INSERT INTO checkpoints (key, state, saved_at) VALUES ($1, $2, now())
+        ON CONFLICT (key) DO UPDATE SET state = EXCLUDED.state, saved_at = EXCLUDED.saved_at
+      `, [key, JSON.stringify(state)]);
+    },
+
+    async take(key) {
+      const { rows } = await pool.query('DELETE FROM checkpoints WHERE key = $1 RETURNING state', [key]);
+      return rows.length > 0 ? rows[0].state : undefined;
+    },
+  };
+}
+
+// Same behaviour as the MongoDB frontier. Row locks that are skipped make claims safe between workers
+function createPostgresFrontier(pool) {
+  return {
+    async init() {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS frontier (
+          uri TEXT PRIMARY KEY,
+          status TEXT NOT NULL,
+          type TEXT,
+          priority INTEGER,
+          claimed_by TEXT,
+          lease_until TIMESTAMPTZ,
+          attempts INTEGER NOT NULL DEFAULT 0,
+          first_seen TIMESTAMPTZ,
+          last_crawled TIMESTAMPTZ,
+          extra JSONB NOT NULL DEFAULT '{}'
+        );
+        CREATE INDEX IF NOT EXISTS frontier_claim ON frontier (status, lease_until, priority);
+      `);
+    },
+
+    async add(uri, { type = 'video', priority = 5, recrawlAfter } = {}) {
+      const now = new Date();
+      const { claimedBy, leaseUntil } = leaseFields(now);
+      const values = [uri, QUEUED, type, priority, claimedBy, leaseUntil, now];
+      const insert = `
+        INSERT INTO frontier (uri, status, type, priority, claimed_by, lease_until, first_seen)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `;
+      if (recrawlAfter === undefined) {
+        return (await pool.query(`${insert} ON CONFLICT (uri) DO NOTHING`, values)).rowCount > 0;
+      }
+
+      return (await pool.query(`${insert}
+        ON CONFLICT (uri) DO UPDATE SET
+          status = EXCLUDED.status, type = EXCLUDED.type, priority = EXCLUDED.priority,
+          claimed_by = EXCLUDED.claimed_by, lease_until = EXCLUDED.lease_until
+        WHERE frontier.status <> EXCLUDED.status AND frontier.last_crawled < $8
+      `, [...values, new Date(now.getTime() - recrawlAfter)])).rowCount > 0;
+    },
+
+    async claim(limit = 1, type) {
+      const now = new Date();
+      const { claimedBy, leaseUntil } = leaseFields(now);
+      const values = [claimedBy, leaseUntil, QUEUED, now, limit];
+      if (type) {
+        values.push(type);
+      }
+
+      const { rows } = await pool.query(`
+        UPDATE frontier SET claimed_by = $1, lease_until = $2
+        WHERE uri IN (
+          SELECT uri FROM frontier
+          WHERE status = $3 AND lease_until < $4${type ? ' AND type = $6' : ''}
+          ORDER BY priority
+          LIMIT $5
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING uri, status, type, priority, attempts
+      `, values);
+      return rows;
+    },
+
+    async renew(uri) {
+      const now = new Date();
+      const { claimedBy, leaseUntil } = leaseFields(now);
+      const { rowCount } = await pool.query(`
+        UPDATE frontier SET claimed_by = $1, lease_until = $2
+        WHERE uri = $3 AND status = $4 AND (claimed_by = $1 OR lease_until < $5)
+      `, [claimedBy, leaseUntil, uri, QUEUED, now]);
+      return rowCount > 0;
+    },
+
+    async complete(uri, status, extra = {}) {
+      await pool.query(`
+        UPDATE frontier SET status = $1, last_crawled = now(), attempts = attempts + 1,
+          claimed_by = NULL, lease_until = NULL, extra = extra || $2::jsonb
+        WHERE uri = $3
+      `, [status, JSON.stringify(extra), uri]);
+    },
+
+    async release(uri, notBefore = new Date(), { attempted = false } = {}) {
+      await pool.query(`
+        UPDATE frontier SET status = $1, lease_until = $2, attempts = attempts + $3, claimed_by = NULL
+        WHERE uri = $4
+      `, [QUEUED, notBefore, attempted ? 1 : 0, uri]);
+    },
+
+    async remove(uri) {
+      await pool.query('DELETE FROM frontier WHERE uri = $1', [uri]);
+    },
+
+    async counts() {
+      const { rows } = await pool.query('SELECT status, COUNT(*) AS count FROM frontier GROUP BY status');
+      return rows.reduce((counts, { status, count }) => {
+        counts[status] = count;
+        return counts;
+      }, {});
+    },
+  };
+}
+
+// Postgres store, shared by every cluster instance using the same database
+export function createPostgresStore(connectionString) {
+  const pool = new pg.Pool({
+    connectionString,
+    max: 3,
+  });
+
+  return {
+    videos: createPostgresVideoStore(pool),
+    queries: createPostgresQueryStore(pool),
+    frontier: createPostgresFrontier(pool),
+    checkpoints: createPostgresCheckpointStore(pool),
+
+    async init() {
+      await pool.query('SELECT 1');
+      console.log('Connected successfully to database');
+      await this.queries.init();
+      await this.videos.init();
+      await this.checkpoints.init();
+    },
+
+    async close() {
+      await pool.end();
+    },
+  };
+}
@@ -0,0 +1,120 @@
+import { channelAuthorUrl } from '../search.js';
+import { analyzeQuery } from '../text.js';
+
+// Shared by the SQLite and Postgres stores. Video fields with their own column, anything
+// else a video has is kept in the extra JSON column
+const videoColumns = {
+  uri: 'uri',
+  title: 'title',
+  description: 'description',
+  authorName: 'author_name',
+  authorUrl: 'author_url',
+  lengthSeconds: 'length_seconds',
+  viewCount: 'view_count',
+  category: 'category',
+  uploadDate: 'upload_date',
+  publishDate: 'publish_date',
+  updatedAt: 'updated_at',
+};
+
+const sortColumns = {
+  viewCount: 'view_count',
+  uploadDate: 'upload_date',
+  lengthSeconds: 'length_seconds',
+};
+
+// Splits a video into column values, extra fields and its fuzzy words, which are indexed per field
+// in the full text tables. Undefined fields are left out so partial updates don't clear what is
+// already stored. NaN, like the length of a duration text that couldn't be parsed, is stored as
+// null since integer columns reject it
+export function splitVideo(video, toColumnValue = value => value) {
+  const columns = {};
+  const extra = {};
+  let fuzzyWords;
+  Object.keys(video).forEach(field => {
+    const value = Number.isNaN(video[field]) ? null : video[field];
+    if (value === undefined) {
+      return;
+    }
+
+    if (field === 'fuzzyWords') {
+      fuzzyWords = value;
+    } else if (videoColumns[field]) {
+      columns[videoColumns[field]] = toColumnValue(value);
+    } else {
+      extra[field] = value;
+    }
+  });
+  return { columns, extra, fuzzyWords };
+}
+
+// Turns a row back into a video like the ones stored in MongoDB, without empty fields
+export function rowToVideo(row, parseExtra = extra => extra) {
+  const video = {};
+  Object.keys(videoColumns).forEach(field => {
+    const value = row[videoColumns[field]];
+    if (value !== null && value !== undefined) {
+      video[field] = value;
+    }
+  });
+  return { ...video, ...(row.extra ? parseExtra(row.extra) : {}) };
+}
+
+// Search terms analyzed like the videos' fuzzy words. Terms are only letters, marks and
+// numbers, so they can't break full text query syntax
+export function searchTerms(q) {
+  return analyzeQuery(q);
+}
+
+// Works out the sort of a search, relevance is only available with a search term
+export function resolveSort({ q, sort, order }) {
+  const resolved = sort || (q ? 'relevance' : 'uploadDate');
+  if (resolved === 'relevance' && !q) {
+    throw new Error('Sorting by relevance requires a search term');
+  }
+  return {
+    sort: resolved,
+    column: sortColumns[resolved],
+    direction: order === 'asc' ? 'ASC' : 'DESC',
+  };
+}
+
+// Where clauses for the query route's filters, param adds a value and returns its placeholder
+export function buildVideoFilters({ category, channel, minDuration, maxDuration, uploadedAfter, uploadedBefore }, param) {
+  const clauses = [];
+  if (category) {
+    clauses.push(`category = ${param(category)}`);
+  }
+
+  if (channel) {
+    clauses.push(`author_url = ${param(channelAuthorUrl(channel))}`);
+  }
+
+  if (minDuration !== undefined) {
+    clauses.push(`length_seconds >= ${param(minDuration)}`);
+  }
+
+  if (maxDuration !== undefined) {
+    clauses.push(`length_seconds <= ${param(maxDuration)}`);
+  }
+
+  // Upload dates are stored as YYYY-MM-DD strings so they compare lexically
+  if (uploadedAfter) {
+    clauses.push(`upload_date >= ${param(uploadedAfter)}`);
+  }
+
+  if (uploadedBefore) {
+    clauses.push(`upload_date <= ${param(uploadedBefore)}`);
+  }
+  return clauses;
+}
+
+export function pageResult(items, total, { page, limit }) {
+  return {
+    items,
+    total,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit),
+  };
+}
@@ -0,0 +1,335 @@
+import Database from 'better-sqlite3';
+import { leaseFields, QUEUED } from '../frontier.js';
+import { splitVideo, rowToVideo, searchTerms, resolveSort, buildVideoFilters, pageResult } from './sql.js';
+
+// SQLite stores dates as ISO strings, which compare in date order
+function toColumnValue(value) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return typeof value === 'boolean' ? Number(value) : value;
+}
+
+// Full text query matching any of the search terms, like MongoDB's $text
+function ftsQuery(q) {
+  return searchTerms(q).map(term => `"${term}"`).join(' OR ');
+}
+
+function createSqliteVideoStore(db) {
+  // Updates the video and, when it has fuzzy words, its full text entry in one transaction
+  const upsertVideo = db.transaction((video, onInsert) => {
+    const previous = db.prepare('SELECT author_url FROM videos WHERE uri = ?').get(video.uri);
+    const insert = splitVideo({ ...onInsert, ...video }, toColumnValue);
+    const update = splitVideo(video, toColumnValue);
+    const columns = Object.keys(insert.columns);
+    const updates = Object.keys(update.columns)
+      .filter(column => column !== 'uri')
+      .map(column => `${column} = excluded.${column}`);
+
+    db.prepare(`
+      INSERT INTO videos (${columns.join(', ')}, extra) VALUES (${columns.map(() => '?').join(', ')}, ?)
+      ON CONFLICT (uri) DO UPDATE SET ${[...updates, 'extra = json_patch(videos.extra, ?)'].join(', ')}
+    `).run(...columns.map(column => insert.columns[column]), JSON.stringify(insert.extra), JSON.stringify(update.extra));
+
+    if (insert.fuzzyWords !== undefined) {
+      const { title, author, description } = insert.fuzzyWords;
+      const { rowid } = db.prepare('SELECT rowid FROM videos WHERE uri = ?').get(video.uri);
+      db.prepare('DELETE FROM videos_fts WHERE rowid = ?').run(rowid);
+      db.prepare('INSERT INTO videos_fts (rowid, title, author, description) VALUES (?, ?, ?, ?)')
+        .run(rowid, title, author, description);
+    }
+    return previous ? { authorUrl: previous.author_url } : null;
+  });
+
+  return {
+    async init() {
+      // The full text table used to have a single fuzzy_words column, reindexing fills the new one
+      const ftsColumns = db.prepare('SELECT name FROM pragma_table_info(\'videos_fts\')').pluck().all();
+      if (ftsColumns.indexOf('fuzzy_words') !== -1) {
+        console.log('Dropping old full text table, run the reindex script to rebuild it');
+        db.exec('DROP TABLE videos_fts');
+      }
+
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS videos (
+          uri TEXT PRIMARY KEY,
+          title TEXT,
+          description TEXT,
+          author_name TEXT,
+          author_url TEXT,
+          length_seconds INTEGER,
+          view_count INTEGER,
+          category TEXT,
+          upload_date TEXT,
+          publish_date TEXT,
+          updated_at TEXT,
+          extra TEXT NOT NULL DEFAULT '{}'
+        );
+        CREATE INDEX IF NOT EXISTS videos_category ON videos (category, upload_date);
+        CREATE INDEX IF NOT EXISTS videos_author_url ON videos (author_url, upload_date);
+        CREATE INDEX IF NOT EXISTS videos_upload_date ON videos (upload_date);
+        CREATE INDEX IF NOT EXISTS videos_view_count ON videos (view_count);
+        CREATE INDEX IF NOT EXISTS videos_length_seconds ON videos (length_seconds);
+        CREATE INDEX IF NOT EXISTS videos_updated_at ON videos (updated_at);
+        CREATE VIRTUAL TABLE IF NOT EXISTS videos_fts USING fts5 (
+          title, author, description,
+          tokenize = "unicode61 categories 'L* M* N* Co'"
+        );
+      `);
+    },
+
+    async upsert(video, onInsert = {}) {
+      return upsertVideo(video, onInsert);
+    },
+
+    async findUnknown(limit) {
+      return db.prepare(`
+        SELECT uri FROM videos
+        WHERE (title IS NULL OR title = '') AND (description IS NULL OR description = '')
+        LIMIT ?
+      `).all(limit);
+    },
+
+    async search(params) {
+      const { q, page, limit } = params;
+      const { sort, column, direction } = resolveSort(params);
+      const values = [];
+      const param = value => {
+        values.push(value);
+        return '?';
+      };
+
+      let from = 'videos';
+      const clauses = buildVideoFilters(params, param);
+      if (q) {
+        const match = ftsQuery(q);
+        if (!match) {
+          return pageResult([], 0, params);
+        }
+        from = 'videos JOIN videos_fts ON videos_fts.rowid = videos.rowid';
+        clauses.push(`videos_fts MATCH ${param(match)}`);
+      }
+
+      const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+      const orderBy = sort === 'relevance' ? 'bm25(videos_fts, 10.0, 5.0, 1.0)' : `${column} ${direction}`;
+      const { count } = db.prepare(`SELECT COUNT(*) AS count FROM ${from} ${where}`).get(...values);
+      const rows = db.prepare(`
+        SELECT videos.* FROM ${from} ${where}
+        ORDER BY ${orderBy}, videos.rowid
+        LIMIT ? OFFSET ?
+      `).all(...values, limit, limit * page);
+      return pageResult(rows.map(row => rowToVideo(row, JSON.parse)), count, params);
+    },
+
+    // Every video's text fields, for rebuilding their fuzzy words. Read in batches by rowid
+    // so the database is free for writes between them
+    async *scan(batchSize = 1000) {
+      let lastRowid = 0;
+      while (true) {
+        const rows = db.prepare(`
+          SELECT rowid, uri, title, author_name, description FROM videos
+          WHERE rowid > ? ORDER BY rowid LIMIT ?
+        `).all(lastRowid, batchSize);
+        if (rows.length === 0) {
+          return;
+        }
+
+        lastRowid = rows[rows.length - 1].rowid;
+        for (const { rowid, ...row } of rows) {
+          yield rowToVideo(row);
+        }
+      }
+    },
+  };
+}
+
+function createSqliteQueryStore(db) {
+  const takeUncrawled = db.transaction(() => {
+    const row = db.prepare('SELECT query FROM queries WHERE crawl_date IS NULL LIMIT 1').get();
+    if (row) {
+      db.prepare('UPDATE queries SET crawl_date = ? WHERE query = ?').run(new Date().toISOString(), row.query);
+      return row.query;
+    }
+  });
+
+  return {
+    async init() {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS queries (
+          query TEXT PRIMARY KEY,
+          date TEXT,
+          crawl_date TEXT
+        );
+        CREATE INDEX IF NOT EXISTS queries_crawl_date ON queries (crawl_date);
+      `);
+    },
+
+    async add(query, recrawl = false) {
+      db.prepare(`
+        INSERT INTO queries (query, date) VALUES (?, ?)
+        ON CONFLICT (query) DO UPDATE SET date = excluded.date${recrawl ? ', crawl_date = NULL' : ''}
+      `).run(query, new Date().toISOString());
+    },
+
+    async takeUncrawled() {
+      return takeUncrawled();
+    },
+  };
+}
+
+// Saved state of cluster instances that shut down, stored as JSON
+function createSqliteCheckpointStore(db) {
+  const take = db.transaction(key => {
+    const row = db.prepare('SELECT state FROM checkpoints WHERE key = ?').get(key);
+    if (row) {
+      db.prepare('DELETE FROM checkpoints WHERE key = ?').run(key);
+      return JSON.parse(row.state);
+    }
+  });
+
+  return {
+    async init() {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS checkpoints (
+          key TEXT PRIMARY KEY,
+          state TEXT,
+          saved_at TEXT
+        );
+      `);
+    },
+
+    async save(key, state) {
+      db.prepare(`
+        INSERT INTO checkpoints (key, state, saved_at) VALUES (?, ?, ?)
+        ON CONFLICT (key) DO UPDATE SET state = excluded.state, saved_at = excluded.saved_at
+      `).run(key, JSON.stringify(state), new Date().toISOString());
+    },
+
+    async take(key) {
+      return take(key);
+    },
+  };
+}
+
+// Same behaviour as the MongoDB frontier, shared by the processes using the database file
+function createSqliteFrontier(db) {
+  const claim = db.transaction((limit, type) => {
+    const now = new Date();
+    const { claimedBy, leaseUntil } = leaseFields(now);
+    return db.prepare(`
+      UPDATE frontier SET claimed_by = ?, lease_until = ?
+      WHERE uri IN (
+        SELECT uri FROM frontier
+        WHERE status = ? AND lease_until < ?${type ? ' AND type = ?' : ''}
+        ORDER BY priority
+        LIMIT ?
+      )
+      RETURNING uri, status, type, priority, attempts
+    `).all(claimedBy, leaseUntil.toISOString(), QUEUED, now.toISOString(), ...(type ? [type] : []), limit);
+  });
+
+  return {
+    async init() {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS frontier (
+          uri TEXT PRIMARY KEY,
+          status TEXT NOT NULL,
+          type TEXT,
+          priority INTEGER,
+          claimed_by TEXT,
+          lease_until TEXT,
+          attempts INTEGER NOT NULL DEFAULT 0,
+          first_seen TEXT,
+          last_crawled TEXT,
+          extra TEXT NOT NULL DEFAULT '{}'
+        );
+        CREATE INDEX IF NOT EXISTS frontier_claim ON frontier (status, lease_until, priority);
+      `);
+    },
+
+    async add(uri, { type = 'video', priority = 5, recrawlAfter } = {}) {
+      const now = new Date();
+      const { claimedBy, leaseUntil } = leaseFields(now);
+      const values = [uri, QUEUED, type, priority, claimedBy, leaseUntil.toISOString(), now.toISOString()];
+      const insert = `
+        INSERT INTO frontier (uri, status, type, priority, claimed_by, lease_until, first_seen)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `;
+      if (recrawlAfter === undefined) {
+        return db.prepare(`${insert} ON CONFLICT (uri) DO NOTHING`).run(...values).changes > 0;
+      }
+
+      return db.prepare(`${insert}
+        ON CONFLICT (uri) DO UPDATE SET
+          status = excluded.status, type = excluded.type, priority = excluded.priority,
+          claimed_by = excluded.claimed_by, lease_until = excluded.lease_until
+        WHERE frontier.status != excluded.status AND frontier.last_crawled < ?
+      `).run(...values, new Date(now.getTime() - recrawlAfter).toISOString()).changes > 0;
+    },
+
+    async claim(limit = 1, type) {
+      return claim(limit, type);
+    },
+
+    async renew(uri) {
+      const now = new Date();
+      const { claimedBy, leaseUntil } = leaseFields(now);
+      return db.prepare(`
+        UPDATE frontier SET claimed_by = ?, lease_until = ?
+        WHERE uri = ? AND status = ? AND (claimed_by = ? OR lease_until < ?)
+      `).run(claimedBy, leaseUntil.toISOString(), uri, QUEUED, claimedBy, now.toISOString()).changes > 0;
+    },
+
+    async complete(uri, status, extra = {}) {
+      db.prepare(`
+        UPDATE frontier SET status = ?, last_crawled = ?, attempts = attempts + 1,
+          claimed_by = NULL, lease_until = NULL, extra = json_patch(extra, ?)
+        WHERE uri = ?
+      `).run(status, new Date().toISOString(), JSON.stringify(extra), uri);
+    },
+
+    async release(uri, notBefore = new Date(), { attempted = false } = {}) {
+      db.prepare(`
+        UPDATE frontier SET status = ?, lease_until = ?, attempts = attempts + ?, claimed_by = NULL
+        WHERE uri = ?
+      `).run(QUEUED, notBefore.toISOString(), attempted ? 1 : 0, uri);
+    },
+
+    async remove(uri) {
+      db.prepare('DELETE FROM frontier WHERE uri = ?').run(uri);
+    },
+
+    async counts() {
+      return db.prepare('SELECT status, COUNT(*) AS count FROM frontier GROUP BY status').all()
+        .reduce((counts, { status, count }) => {
+          counts[status] = count;
+          return counts;
+        }, {});
+    },
+  };
+}
+
+// SQLite store in a single database file, for local runs and tests without a database server
+export function createSqliteStore(path) {
+  const db = new Database(path);
+  db.pragma('journal_mode = WAL'); // Lets cluster instances read while one of them writes
+  db.pragma('busy_timeout = 5000');
+
+  return {
+    videos: createSqliteVideoStore(db),
+    queries: createSqliteQueryStore(db),
+    frontier: createSqliteFrontier(db),
+    checkpoints: createSqliteCheckpointStore(db),
+
+    async init() {
+      console.log('Opened SQLite database:', path);
+      await this.queries.init();
+      await this.videos.init();
+      await this.checkpoints.init();
+    },
+
+    async close() {
+      db.close();
+    },
+  };
+}
@@ -0,0 +1,269 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MongoClient } from 'mongodb';
+import pg from 'pg';
+
+// Short leases so that tests can wait for them to run out, the lease is read when frontier.js loads
+process.env.FRONTIER_LEASE_TIMEOUT = 50;
+const { createMemoryFrontier, createMongoFrontier, workerId, QUEUED, DONE, FAILED } = await import('../frontier.js');
+const { createSqliteStore } = await import('../stores/sqlite.js');
+const { createPostgresStore } = await import('../stores/postgres.js');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Every frontier has to pass the same tests. The MongoDB and Postgres ones run against the
+// databases in TEST_MONGODB_URI and TEST_POSTGRES_URI, which they empty, and are skipped without
+const implementations = {
+  memory: {
+    open: async () => ({ frontier: createMemoryFrontier(), close: async () => {} }),
+  },
+  sqlite: {
+    open: async () => {
+      const store = createSqliteStore(':memory:');
+      return { frontier: store.frontier, close: () => store.close() };
+    },
+  },
+  mongodb: {
+    skip: !process.env.TEST_MONGODB_URI,
+    open: async () => {
+      const client = await MongoClient.connect(process.env.TEST_MONGODB_URI);
+      const collection = client.db().collection('frontier');
+      await collection.deleteMany({});
+      return { frontier: createMongoFrontier(collection), close: () => client.close() };
+    },
+  },
+  postgres: {
+    skip: !process.env.TEST_POSTGRES_URI,
+    open: async () => {
+      const pool = new pg.Pool({ connectionString: process.env.TEST_POSTGRES_URI });
+      await pool.query('DROP TABLE IF EXISTS frontier');
+      await pool.end();
+      const store = createPostgresStore(process.env.TEST_POSTGRES_URI);
+      return { frontier: store.frontier, close: () => store.close() };
+    },
+  },
+};
+
+Object.entries(implementations).forEach(([name, { open, skip }]) => {
+  describe(`${name} frontier`, { skip }, () => {
+    let frontier;
+    let close;
+    beforeEach(async () => {
+      ({ frontier, close } = await open());
+      await frontier.init();
+    });
+    afterEach(() => close());
+
+    test('adds a uri once', async () => {
+      assert.equal(await frontier.add('https://a', { type: 'watch', priority: 1 }), true);
+      assert.equal(await frontier.add('https://a', { type: 'watch', priority: 1 }), false);
+      assert.deepEqual(await frontier.counts(), { [QUEUED]: 1 });
+    });
+
+    test('leases added uris to this worker until the lease runs out', async () => {
+      await frontier.add('https://a');
+      assert.deepEqual(await frontier.claim(10), []);
+
+      await sleep(60);
+      const claimed = await frontier.claim(10);
+      assert.equal(claimed.length, 1);
+      assert.equal(claimed[0].uri, 'https://a');
+      assert.equal(claimed[0].status, QUEUED);
+      assert.equal(claimed[0].type, 'video');
+      assert.equal(claimed[0].priority, 5);
+      assert.equal(claimed[0].attempts, 0);
+
+      // Claiming leases the uri again
+      assert.deepEqual(await frontier.claim(10), []);
+      await sleep(60);
+      assert.equal((await frontier.claim(10)).length, 1);
+    });
+
+    test('claims by priority, up to the limit and of the type asked for', async () => {
+      await frontier.add('https://low', { type: 'watch', priority: 9 });
+      await frontier.add('https://high', { type: 'video', priority: 0 });
+      await frontier.add('https://mid', { type: 'watch', priority: 5 });
+      await sleep(60);
+
+      assert.deepEqual((await frontier.claim(1)).map(entry => entry.uri), ['https://high']);
+      assert.deepEqual((await frontier.claim(1, 'watch')).map(entry => entry.uri), ['https://mid']);
+      assert.deepEqual((await frontier.claim(10)).map(entry => entry.uri), ['https://low']);
+      assert.deepEqual(await frontier.claim(10), []);
+    });
+
+    test('completed uris are not claimed or added again', async () => {
+      await frontier.add('https://done');
+      await frontier.add('https://failed');
+      await frontier.complete('https://done', DONE, { statusCode: 200 });
+      await frontier.complete('https://failed', FAILED);
+      await sleep(60);
+
+      assert.deepEqual(await frontier.claim(10), []);
+      assert.equal(await frontier.add('https://done'), false);
+      assert.deepEqual(await frontier.counts(), { [DONE]: 1, [FAILED]: 1 });
+    });
+
+    test('released uris can be claimed again, not before the date given', async () => {
+      await frontier.add('https://now');
+      await frontier.add('https://later');
+      await frontier.release('https://now');
+      await frontier.release('https://later', new Date(Date.now() + 60 * 1000));
+      await sleep(5);
+
+      const claimed = await frontier.claim(10);
+      assert.deepEqual(claimed.map(entry => entry.uri), ['https://now']);
+      assert.equal(claimed[0].attempts, 0);
+      assert.deepEqual(await frontier.counts(), { [QUEUED]: 2 });
+    });
+
+    test('counts completions and attempted releases as attempts', async () => {
+      await frontier.add('https://a');
+      await frontier.release('https://a', undefined, { attempted: true });
+      await frontier.release('https://a');
+      await frontier.release('https://a', undefined, { attempted: true });
+      await sleep(5);
+      assert.equal((await frontier.claim(1))[0].attempts, 2);
+
+      await frontier.complete('https://a', DONE);
+      await sleep(5);
+      await frontier.add('https://a', { recrawlAfter: 1 });
+      await sleep(60);
+      assert.equal((await frontier.claim(1))[0].attempts, 3);
+    });
+
+    test('queues finished uris again once recrawlAfter has passed', async () => {
+      await frontier.add('https://a', { type: 'playlist', priority: 3 });
+      assert.equal(await frontier.add('https://a', { recrawlAfter: 0 }), false); // Still queued
+
+      await frontier.complete('https://a', DONE);
+      assert.equal(await frontier.add('https://a', { recrawlAfter: 60 * 60 * 1000 }), false);
+      await sleep(5);
+      assert.equal(await frontier.add('https://a', { type: 'playlist', priority: 1, recrawlAfter: 1 }), true);
+      assert.deepEqual(await frontier.counts(), { [QUEUED]: 1 });
+
+      // Leased to this worker like a new uri
+      assert.deepEqual(await frontier.claim(10), []);
+      await sleep(60);
+      const [entry] = await frontier.claim(10);
+      assert.equal(entry.type, 'playlist');
+      assert.equal(entry.priority, 1);
+    });
+
+    test('renews leases of queued uris and takes over the ones that ran out', async () => {
+      await frontier.add('https://a');
+      assert.equal(await frontier.renew('https://a'), true);
+      await sleep(60);
+      assert.equal(await frontier.renew('https://a'), true);
+      assert.deepEqual(await frontier.claim(10), []);
+
+      await frontier.release('https://a', new Date(Date.now() + 60 * 1000));
+      assert.equal(await frontier.renew('https://a'), false);
+      await frontier.complete('https://a', DONE);
+      assert.equal(await frontier.renew('https://a'), false);
+      assert.equal(await frontier.renew('https://unknown'), false);
+    });
+
+    test('removes uris', async () => {
+      await frontier.add('https://a');
+      await frontier.remove('https://a');
+      assert.deepEqual(await frontier.counts(), {});
+      assert.equal(await frontier.add('https://a'), true);
+    });
+  });
+});
+
+// A collection that answers with the given results in turn and records what it was asked
+function fakeCollection(results) {
+  const calls = [];
+  const answer = (method, args) => {
+    calls.push({ method, args });
+    const result = results.shift();
+    return result instanceof Error ? Promise.reject(result) : Promise.resolve(result);
+  };
+  return {
+    calls,
+    updateOne: (...args) => answer('updateOne', args),
+    findOneAndUpdate: (...args) => answer('findOneAndUpdate', args),
+  };
+}
+
+function duplicateKeyError() {
+  const error = new Error('E11000 duplicate key error collection: frontier index: uri_1');
+  error.code = 11000;
+  return error;
+}
+
+describe('mongodb frontier queries', () => {
+  test('add upserts only on insert and reports whether the uri was new', async () => {
+    const collection = fakeCollection([{ upsertedCount: 1 }, { upsertedCount: 0 }]);
+    const frontier = createMongoFrontier(collection);
+    assert.equal(await frontier.add('https://a', { type: 'watch', priority: 1 }), true);
+    assert.equal(await frontier.add('https://a'), false);
+
+    const [filter, update, options] = collection.calls[0].args;
+    assert.deepEqual(filter, { uri: 'https://a' });
+    assert.deepEqual(Object.keys(update), ['$setOnInsert']);
+    assert.equal(update.$setOnInsert.status, QUEUED);
+    assert.equal(update.$setOnInsert.attempts, 0);
+    assert.deepEqual(options, { upsert: true });
+  });
+
+  test('add requeues only finished uris crawled before recrawlAfter', async () => {
+    const collection = fakeCollection([{ upsertedCount: 0, modifiedCount: 1 }]);
+    const frontier = createMongoFrontier(collection);
+    const before = Date.now();
+    assert.equal(await frontier.add('https://a', { recrawlAfter: 1000 }), true);
+
+    const [filter, update] = collection.calls[0].args;
+    assert.equal(filter.uri, 'https://a');
+    assert.deepEqual(filter.status, { $ne: QUEUED });
+    assert.ok(filter.lastCrawled.$lt.getTime() >= before - 1000);
+    assert.ok(filter.lastCrawled.$lt.getTime() <= Date.now() - 1000);
+    assert.equal(update.$set.status, QUEUED);
+    assert.deepEqual(Object.keys(update.$setOnInsert), ['attempts', 'firstSeen']);
+  });
+
+  test('add resolves false when the upsert hits the unique uri index', async () => {
+    // A queued or recently crawled uri doesn't match, so the upsert tries to insert it again
+    const frontier = createMongoFrontier(fakeCollection([duplicateKeyError(), duplicateKeyError()]));
+    assert.equal(await frontier.add('https://a'), false);
+    assert.equal(await frontier.add('https://a', { recrawlAfter: 0 }), false);
+  });
+
+  test('add passes on other errors', async () => {
+    const frontier = createMongoFrontier(fakeCollection([new Error('not primary')]));
+    await assert.rejects(frontier.add('https://a'), /not primary/);
+  });
+
+  test('renew only extends leases of this worker or ones that ran out', async () => {
+    const collection = fakeCollection([{ matchedCount: 1 }, { matchedCount: 0 }]);
+    const frontier = createMongoFrontier(collection);
+    assert.equal(await frontier.renew('https://a'), true);
+    assert.equal(await frontier.renew('https://a'), false);
+
+    const [filter, update] = collection.calls[0].args;
+    assert.equal(filter.status, QUEUED);
+    assert.deepEqual(filter.$or[0], { claimedBy: workerId });
+    assert.ok(filter.$or[1].leaseUntil.$lt instanceof Date);
+    assert.equal(update.$set.claimedBy, workerId);
+  });
+
+  test('claim leases one entry at a time, up to the limit or until none are left', async () => {
+    const collection = fakeCollection([{ value: { uri: 'https://a' } }, { value: { uri: 'https://b' } }, { value: null }]);
+    const frontier = createMongoFrontier(collection);
+    assert.deepEqual((await frontier.claim(5, 'watch')).map(entry => entry.uri), ['https://a', 'https://b']);
+    assert.equal(collection.calls.length, 3);
+
+    const [filter, update, options] = collection.calls[0].args;
+    assert.equal(filter.status, QUEUED);
+    assert.equal(filter.type, 'watch');
+    assert.ok(filter.leaseUntil.$lt instanceof Date);
+    assert.ok(update.$set.leaseUntil > new Date());
+    assert.deepEqual(options, { sort: { priority: 1 }, returnDocument: 'after' });
+
+    const limited = fakeCollection([{ value: { uri: 'https://a' } }, { value: { uri: 'https://b' } }]);
+    assert.equal((await createMongoFrontier(limited).claim(1)).length, 1);
+    assert.equal(limited.calls.length, 1);
+    assert.equal(limited.calls[0].args[0].type, undefined);
+  });
+});
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { availabilityFromWatchPage, availabilityFromStatus, EMBEDDABLE, UNEMBEDDABLE, RESTRICTED, UNAVAILABLE } from '../history.js';
+
+test('availabilityFromWatchPage tells embeddable videos from unembeddable ones', () => {
+  assert.equal(availabilityFromWatchPage({ playabilityStatus: 'OK', isEmbeddable: true }), EMBEDDABLE);
+  assert.equal(availabilityFromWatchPage({ playabilityStatus: 'OK' }), EMBEDDABLE);
+  assert.equal(availabilityFromWatchPage({ playabilityStatus: 'OK', isEmbeddable: false }), UNEMBEDDABLE);
+  assert.equal(availabilityFromWatchPage({ playabilityStatus: 'LIVE_STREAM_OFFLINE', isEmbeddable: true }), EMBEDDABLE);
+});
+
+test('availabilityFromWatchPage treats private, age checked and region locked videos as restricted', () => {
+  assert.equal(availabilityFromWatchPage({ playabilityStatus: 'OK', isPrivate: true }), RESTRICTED);
+  ['LOGIN_REQUIRED', 'AGE_CHECK_REQUIRED', 'CONTENT_CHECK_REQUIRED', 'UNPLAYABLE'].forEach(playabilityStatus => {
+    assert.equal(availabilityFromWatchPage({ playabilityStatus }), RESTRICTED);
+  });
+});
+
+test('availabilityFromWatchPage only treats errors as unavailable', () => {
+  assert.equal(availabilityFromWatchPage({ playabilityStatus: 'ERROR' }), UNAVAILABLE);
+  assert.equal(availabilityFromWatchPage({ playabilityStatus: 'SOMETHING_NEW' }), undefined);
+  assert.equal(availabilityFromWatchPage({}), undefined);
+});
+
+test('availabilityFromStatus maps oembed status codes', () => {
+  assert.equal(availabilityFromStatus(200), EMBEDDABLE);
+  assert.equal(availabilityFromStatus(401), UNEMBEDDABLE);
+  assert.equal(availabilityFromStatus(404), UNAVAILABLE);
+  assert.equal(availabilityFromStatus(500), undefined);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyOutcome, classifyAxiosError, OK, RATE_LIMITED, CAPTCHA, TIMEOUT, NETWORK } from '../ratelimit.js';
+
+function requestError(code) {
+  const error = new Error(code);
+  error.code = code;
+  return error;
+}
+
+test('classifyOutcome treats timeouts as timeouts', () => {
+  ['ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ECONNABORTED'].forEach(code => {
+    assert.equal(classifyOutcome({ error: requestError(code) }), TIMEOUT);
+  });
+});
+
+test('classifyOutcome treats refused, reset and unresolved connections as network errors', () => {
+  ['ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'].forEach(code => {
+    assert.equal(classifyOutcome({ error: requestError(code) }), NETWORK);
+  });
+});
+
+test('classifyOutcome treats SOCKS proxy errors as network errors', () => {
+  class SocksClientError extends Error {}
+  assert.equal(classifyOutcome({ error: new SocksClientError('Socket closed') }), NETWORK);
+});
+
+test('classifyOutcome leaves other request errors to fail the request', () => {
+  assert.equal(classifyOutcome({ error: requestError('ERR_INVALID_URL') }), OK);
+  assert.equal(classifyOutcome({ error: new Error('Unexpected end of JSON input') }), OK);
+});
+
+test('classifyOutcome recognises rate limits and captcha pages', () => {
+  assert.equal(classifyOutcome({ statusCode: 429 }), RATE_LIMITED);
+  assert.equal(classifyOutcome({ statusCode: 200, finalHost: 'consent.youtube.com' }), CAPTCHA);
+  assert.equal(classifyOutcome({ statusCode: 200, body: '<p>Our systems have detected unusual traffic</p>' }), CAPTCHA);
+  assert.equal(classifyOutcome({ statusCode: 404, body: 'Not Found' }), OK);
+});
+
+test('classifyAxiosError classifies responses and request errors', () => {
+  assert.equal(classifyAxiosError({ response: { status: 429, data: '' } }), RATE_LIMITED);
+  assert.equal(classifyAxiosError(requestError('ECONNRESET')), NETWORK);
+});
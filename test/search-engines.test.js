@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import cheerio from 'cheerio';
+import fs from 'fs';
+import qs from 'qs';
+import { extractVideoIds } from '../search-engines.js';
+import { createDuckDuckGoEngine } from '../engines/duckduckgo.js';
+import { createBingEngine } from '../engines/bing.js';
+import { createStartpageEngine } from '../engines/startpage.js';
+import { createMojeekEngine } from '../engines/mojeek.js';
+
+// Result pages cut down to the results and the paging markup
+function fixture(name) {
+  return fs.readFileSync(new URL(`./fixtures/search/${name}.html`, import.meta.url), 'utf8');
+}
+
+function extract(name, request) {
+  const html = fixture(name);
+  return extractVideoIds(cheerio.load(html), html, request.url);
+}
+
+function nextPage(engine, name, request) {
+  return engine.nextPage(cheerio.load(fixture(name)), request);
+}
+
+test('duckduckgo: extracts the videos, playlists and channels behind its redirects', () => {
+  const engine = createDuckDuckGoEngine();
+  const { found, videoIds, playlistIds, channelIds } = extract('duckduckgo', engine.request({ q: 'site:youtube.com/watch?v=dQ' }));
+  assert.equal(found, true);
+  assert.deepEqual(videoIds, ['dQw4w9WgXcQ', 'dQ8_xQ0nRk4']);
+  assert.deepEqual(playlistIds, ['PLFgquLnL59alCl_2TQvOiD5Vgm1hCaGSI']);
+  assert.deepEqual(channelIds, ['UCSJ4gkVC6NrvII8umztf0Ow']);
+});
+
+test('duckduckgo: posts the next page form', () => {
+  const engine = createDuckDuckGoEngine();
+  const request = nextPage(engine, 'duckduckgo', engine.request({ q: 'site:youtube.com/watch?v=dQ' }));
+  assert.equal(request.method, 'POST');
+  assert.equal(request.url, 'https://html.duckduckgo.com/html/');
+  assert.deepEqual(qs.parse(request.data), {
+    q: 'site:youtube.com/watch?v=dQ',
+    s: '30',
+    nextParams: '',
+    v: 'l',
+    o: 'json',
+    dc: '31',
+    api: 'd.js',
+    vqd: '4-142591722385813917419212473052858283817',
+    kl: 'wt-wt',
+  });
+});
+
+test('duckduckgo: the last page has no next page, only the previous page form', () => {
+  const engine = createDuckDuckGoEngine();
+  const request = { method: 'POST', url: 'https://html.duckduckgo.com/html/', data: 'q=site%3Ayoutube.com%2Fwatch%3Fv%3DdQ&s=30' };
+  assert.deepEqual(extract('duckduckgo-last', request).videoIds, ['dQ1Rm3aW7cE']);
+  assert.equal(nextPage(engine, 'duckduckgo-last', request), undefined);
+});
+
+test('bing: extracts the videos and playlists behind its base64 click redirects', () => {
+  const engine = createBingEngine();
+  const { found, videoIds, playlistIds } = extract('bing', engine.request({ q: 'site:youtube.com despacito' }));
+  assert.equal(found, true);
+  assert.deepEqual(videoIds, ['kJQP7kiw5Fk', '72UO0v5ESUo', '2vjPBrBU-TM']);
+  assert.deepEqual(playlistIds, ['PL4fGSI1pDJn6jXS_Tv_N9B8Z0HTRVJE0m']);
+});
+
+test('bing: follows the next page link', () => {
+  const engine = createBingEngine();
+  assert.deepEqual(nextPage(engine, 'bing', engine.request({ q: 'site:youtube.com despacito' })), {
+    method: 'GET',
+    url: 'https://www.bing.com/search?q=site%3ayoutube.com+despacito&first=11&FORM=PORE',
+  });
+  assert.equal(nextPage(engine, 'bing-last', engine.request({ q: 'site:youtube.com despacito' })), undefined);
+});
+
+test('startpage: extracts the videos and channels it links and embeds', () => {
+  const engine = createStartpageEngine();
+  const { found, videoIds, channelIds } = extract('startpage', engine.request({ q: 'site:youtube.com origami' }));
+  assert.equal(found, true);
+  assert.deepEqual(videoIds, ['sUF2C1Gs6-g', 'VP5U-8qKR5o', 'Gq8oi1b1pWY']);
+  assert.deepEqual(channelIds, ['UCD7RuTeJ8pZn3y_lJBsMXAQ']);
+});
+
+test('startpage: posts the form of the next page button', () => {
+  const engine = createStartpageEngine();
+  const request = nextPage(engine, 'startpage', engine.request({ q: 'site:youtube.com origami' }));
+  assert.equal(request.method, 'POST');
+  assert.equal(request.url, 'https://www.startpage.com/sp/search');
+  assert.deepEqual(qs.parse(request.data), {
+    lui: 'english',
+    language: 'english',
+    query: 'site:youtube.com origami',
+    cat: 'web',
+    sc: 'mXiBFC8TVlpy20',
+    t: 'device',
+    segment: 'startpage.udog',
+    page: '2',
+  });
+  assert.equal(nextPage(engine, 'startpage-last', engine.request({ q: 'site:youtube.com origami' })), undefined);
+});
+
+test('mojeek: extracts the videos and playlists it links', () => {
+  const engine = createMojeekEngine();
+  const { found, videoIds, playlistIds } = extract('mojeek', engine.request({ q: 'site:youtube.com sourdough' }));
+  assert.equal(found, true);
+  assert.deepEqual(videoIds, ['2FVfJTGpXnU', 'bvkHvDBMbmc']);
+  assert.deepEqual(playlistIds, ['PLkJ7RmlfKq4pNvAhvYJH_pr5eoH_gQS1d']);
+});
+
+test('mojeek: follows the next page link', () => {
+  const engine = createMojeekEngine();
+  assert.deepEqual(nextPage(engine, 'mojeek', engine.request({ q: 'site:youtube.com sourdough' })), {
+    method: 'GET',
+    url: 'https://www.mojeek.com/search?q=site%3Ayoutube.com+sourdough&s=11',
+  });
+  assert.equal(nextPage(engine, 'mojeek-last', engine.request({ q: 'site:youtube.com sourdough' })), undefined);
+});
+
+test('result pages without youtube links are not found', () => {
+  const html = '<html><body><a href="https://example.com/">No results</a></body></html>';
+  assert.equal(extractVideoIds(cheerio.load(html), html, 'https://www.mojeek.com/search?q=x').found, false);
+});
@@ -0,0 +1,233 @@
+import { describe, test, beforeEach, afterEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import pg from 'pg';
+
+// Short leases so that tests can wait for them to run out, the lease is read when frontier.js loads
+process.env.FRONTIER_LEASE_TIMEOUT = 50;
+const { createSqliteStore } = await import('../stores/sqlite.js');
+const { createPostgresStore } = await import('../stores/postgres.js');
+const { analyzeVideo } = await import('../text.js');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// A video as the indexer writes it, with its search fields
+function indexed(data) {
+  return { ...data, updatedAt: new Date(), ...analyzeVideo(data) };
+}
+
+async function openStore(file = ':memory:') {
+  const store = createSqliteStore(file);
+  await store.init();
+  await store.frontier.init();
+  return store;
+}
+
+// Postgres tests need a database they can empty, they are skipped without TEST_POSTGRES_URI
+async function openPostgresStore() {
+  const store = createPostgresStore(process.env.TEST_POSTGRES_URI);
+  await store.init();
+  const pool = new pg.Pool({ connectionString: process.env.TEST_POSTGRES_URI });
+  await pool.query('TRUNCATE videos, queries');
+  await pool.end();
+  return store;
+}
+
+const backends = {
+  sqlite: { open: () => openStore() },
+  postgres: { open: openPostgresStore, skip: !process.env.TEST_POSTGRES_URI },
+};
+
+const search = (store, params) => store.videos.search({ q: '', page: 0, limit: 10, order: 'desc', ...params });
+
+Object.entries(backends).forEach(([name, { open, skip }]) => {
+  describe(`${name} video store`, { skip }, () => {
+    let store;
+    beforeEach(async () => {
+      store = await open();
+    });
+    afterEach(() => store.close());
+
+    test('inserts videos and resolves the previous author url on updates', async () => {
+      const uri = 'https://www.youtube.com/watch?v=dQw4w9WgXcQ';
+      assert.equal(await store.videos.upsert({ uri, authorUrl: 'https://www.youtube.com/channel/UCa' }), null);
+      assert.deepEqual(await store.videos.upsert({ uri, authorUrl: 'https://www.youtube.com/channel/UCb' }), {
+        authorUrl: 'https://www.youtube.com/channel/UCa',
+      });
+    });
+
+    test('updates only the fields given and sets onInsert fields on new videos only', async () => {
+      const uri = 'https://www.youtube.com/watch?v=dQw4w9WgXcQ';
+      await store.videos.upsert({ uri, title: 'First title', viewCount: 10, isLive: false }, { discoveryLocale: 'en-US' });
+      await store.videos.upsert({ uri, viewCount: 20, tags: ['a'] }, { discoveryLocale: 'nl-NL' });
+
+      const { items } = await search(store, {});
+      assert.deepEqual(items, [{
+        uri,
+        title: 'First title',
+        viewCount: 20,
+        isLive: false,
+        discoveryLocale: 'en-US',
+        tags: ['a'],
+      }]);
+    });
+
+    test('stores numbers that are NaN as null', async () => {
+      const uri = 'https://www.youtube.com/watch?v=dQw4w9WgXcQ';
+      await store.videos.upsert({ uri, title: 'Live now', lengthSeconds: NaN, viewCount: 5, likeCount: NaN });
+      const { items } = await search(store, {});
+      assert.deepEqual(items, [{ uri, title: 'Live now', viewCount: 5, likeCount: null }]);
+    });
+
+    test('finds videos only known by their uri', async () => {
+      await store.videos.upsert({ uri: 'https://www.youtube.com/watch?v=aaaaaaaaaaa' });
+      await store.videos.upsert({ uri: 'https://www.youtube.com/watch?v=bbbbbbbbbbb', title: '' });
+      await store.videos.upsert({ uri: 'https://www.youtube.com/watch?v=ccccccccccc', title: 'Known' });
+      const unknown = await store.videos.findUnknown(10);
+      assert.deepEqual(unknown.map(video => video.uri).sort(), [
+        'https://www.youtube.com/watch?v=aaaaaaaaaaa',
+        'https://www.youtube.com/watch?v=bbbbbbbbbbb',
+      ]);
+      assert.equal((await store.videos.findUnknown(1)).length, 1);
+    });
+  });
+
+  describe(`${name} video search`, { skip }, () => {
+    let store;
+    afterEach(() => store.close());
+    beforeEach(async () => {
+      store = await open();
+      await store.videos.upsert(indexed({
+        uri: 'https://www.youtube.com/watch?v=aaaaaaaaaaa',
+        title: 'Cooking pasta at home',
+        authorName: 'Kitchen Channel',
+        authorUrl: 'https://www.youtube.com/channel/UCkitchen',
+        description: 'A quick dinner recipe',
+        category: 'Howto & Style',
+        lengthSeconds: 300,
+        viewCount: 5000,
+        uploadDate: '2021-05-01',
+      }));
+      await store.videos.upsert(indexed({
+        uri: 'https://www.youtube.com/watch?v=bbbbbbbbbbb',
+        title: 'Travel vlog in Italy',
+        authorName: 'Wander',
+        authorUrl: 'https://www.youtube.com/channel/UCwander',
+        description: 'We cooked pasta in Rome and walked a lot',
+        category: 'Travel & Events',
+        lengthSeconds: 1200,
+        viewCount: 100,
+        uploadDate: '2020-01-15',
+      }));
+      await store.videos.upsert(indexed({
+        uri: 'https://www.youtube.com/watch?v=ccccccccccc',
+        title: 'Guitar lesson for beginners',
+        authorName: 'Kitchen Channel',
+        authorUrl: 'https://www.youtube.com/channel/UCkitchen',
+        description: 'Learn three chords',
+        category: 'Music',
+        lengthSeconds: 600,
+        viewCount: 20000,
+        uploadDate: '2022-02-20',
+      }));
+    });
+
+    const uris = result => result.items.map(video => video.uri.slice(-11));
+
+    test('matches stemmed search terms and ranks title matches first', async () => {
+      const result = await search(store, { q: 'cook pastas' });
+      assert.deepEqual(uris(result), ['aaaaaaaaaaa', 'bbbbbbbbbbb']);
+      assert.equal(result.total, 2);
+    });
+
+    test('matches any of the search terms and the author', async () => {
+      assert.deepEqual(uris(await search(store, { q: 'guitar italy' })).sort(), ['bbbbbbbbbbb', 'ccccccccccc']);
+      assert.deepEqual(uris(await search(store, { q: 'wander' })), ['bbbbbbbbbbb']);
+    });
+
+    test('searches the updated search fields of a video', async () => {
+      await store.videos.upsert(indexed({ uri: 'https://www.youtube.com/watch?v=ccccccccccc', title: 'Piano lesson' }));
+      assert.deepEqual(uris(await search(store, { q: 'guitar' })), []);
+      assert.deepEqual(uris(await search(store, { q: 'piano' })), ['ccccccccccc']);
+    });
+
+    test('treats full text query syntax in the search term as words', async () => {
+      assert.deepEqual(uris(await search(store, { q: '"pasta" OR NEAR(* -' })).sort(), ['aaaaaaaaaaa', 'bbbbbbbbbbb']);
+      assert.deepEqual(await search(store, { q: '*** ---' }), { items: [], total: 0, page: 0, limit: 10, totalPages: 0 });
+    });
+
+    test('filters by category, channel, duration and upload date', async () => {
+      assert.deepEqual(uris(await search(store, { category: 'Music' })), ['ccccccccccc']);
+      assert.deepEqual(uris(await search(store, { channel: 'UCkitchen' })), ['ccccccccccc', 'aaaaaaaaaaa']);
+      assert.deepEqual(uris(await search(store, { minDuration: 400, maxDuration: 800 })), ['ccccccccccc']);
+      assert.deepEqual(uris(await search(store, { uploadedAfter: '2021-01-01', uploadedBefore: '2021-12-31' })), ['aaaaaaaaaaa']);
+      assert.deepEqual(uris(await search(store, { q: 'pasta', channel: 'UCwander' })), ['bbbbbbbbbbb']);
+    });
+
+    test('sorts and pages', async () => {
+      assert.deepEqual(uris(await search(store, { sort: 'viewCount', order: 'asc' })), ['bbbbbbbbbbb', 'aaaaaaaaaaa', 'ccccccccccc']);
+      const page = await search(store, { sort: 'uploadDate', page: 1, limit: 2 });
+      assert.deepEqual(uris(page), ['bbbbbbbbbbb']);
+      assert.equal(page.total, 3);
+      assert.equal(page.totalPages, 2);
+    });
+  });
+
+  describe(`${name} query store`, { skip }, () => {
+    let store;
+    beforeEach(async () => {
+      store = await open();
+    });
+    afterEach(() => store.close());
+
+    test('hands out each query once until it is recrawled', async () => {
+      await store.queries.add('lofi');
+      assert.equal(await store.queries.takeUncrawled(), 'lofi');
+      assert.equal(await store.queries.takeUncrawled(), undefined);
+
+      await store.queries.add('lofi');
+      assert.equal(await store.queries.takeUncrawled(), undefined);
+      await store.queries.add('lofi', true);
+      assert.equal(await store.queries.takeUncrawled(), 'lofi');
+    });
+  });
+});
+
+describe('sqlite dates', () => {
+  test('are stored as ISO strings', async () => {
+    const store = await openStore();
+    const updatedAt = new Date('2021-11-01T10:00:00Z');
+    await store.videos.upsert({ uri: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', updatedAt });
+    const { items } = await search(store, {});
+    assert.equal(items[0].updatedAt, '2021-11-01T10:00:00.000Z');
+  });
+});
+
+describe('sqlite frontier shared through a database file', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'yt-indexer-test-'));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('leases claimed uris so other processes skip them until the lease runs out', async () => {
+    const file = path.join(dir, 'frontier.db');
+    const first = await openStore(file);
+    const second = await openStore(file);
+
+    assert.equal(await first.frontier.add('https://a', { type: 'watch' }), true);
+    assert.equal(await second.frontier.add('https://a', { type: 'watch' }), false);
+    assert.deepEqual(await second.frontier.claim(10), []);
+
+    await sleep(60);
+    assert.deepEqual((await second.frontier.claim(10)).map(entry => entry.uri), ['https://a']);
+    assert.deepEqual(await first.frontier.claim(10), []);
+
+    await second.frontier.complete('https://a', 'done', { statusCode: 200 });
+    await sleep(60);
+    assert.deepEqual(await first.frontier.claim(10), []);
+    assert.deepEqual(await first.frontier.counts(), { done: 1 });
+
+    await first.close();
+    await second.close();
+  });
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { extractJSONObject, extractPlayerResponse, parseWatchPage } from '../watchpage.js';
+
+// Watch pages cut down to the scripts the parser reads
+function fixture(name) {
+  return fs.readFileSync(new URL(`./fixtures/watch/${name}.html`, import.meta.url), 'utf8');
+}
+
+test('extractJSONObject stops at the brace closing the object', () => {
+  const str = 'x = {"a":{"b":[1,{}]},"c":2};var y = {"d":3};';
+  assert.equal(extractJSONObject(str, 4), '{"a":{"b":[1,{}]},"c":2}');
+});
+
+test('extractJSONObject ignores braces and escaped quotes in strings', () => {
+  const str = '{"a":"}{","b":"\\"}","c":"\\\\"}, {"d":1}';
+  assert.deepEqual(JSON.parse(extractJSONObject(str, 0)), { a: '}{', b: '"}', c: '\\' });
+});
+
+test('extractJSONObject needs an object at start and a closing brace', () => {
+  assert.equal(extractJSONObject('[{}]', 0), undefined);
+  assert.equal(extractJSONObject('{"a":{"b":1}', 0), undefined);
+});
+
+test('extractPlayerResponse parses the player response but not the initial data after it', () => {
+  const playerResponse = extractPlayerResponse(fixture('normal'));
+  assert.equal(playerResponse.videoDetails.videoId, 'dQw4w9WgXcQ');
+  assert.equal(playerResponse.contents, undefined);
+});
+
+test('parseWatchPage parses a normal watch page', () => {
+  const video = parseWatchPage(fixture('normal'));
+  assert.equal(video.videoId, 'dQw4w9WgXcQ');
+  assert.equal(video.title, 'Lofi beats {vol. 3}');
+  assert.match(video.description, /^Beats to study to \{vol\. 3\} — "chill" edition\n/);
+  assert.match(video.description, /rain \\ window\n/);
+  assert.match(video.description, /<\/script><script>alert\(1\)<\/script>$/);
+  assert.equal(video.lengthSeconds, 3723);
+  assert.equal(video.viewCount, 1843201);
+  assert.equal(video.category, 'Music');
+  assert.equal(video.uploadDate, '2021-03-14T09:00:12-07:00');
+  assert.deepEqual(video.keywords, ['lofi', 'study music', 'chill beats']);
+  assert.deepEqual(video.thumbnails.map(thumbnail => thumbnail.width), [1280, 480, 120]);
+  assert.equal(video.authorName, 'Lofi Station');
+  assert.equal(video.authorUrl, 'https://www.youtube.com/channel/UCSJ4gkVC6NrvII8umztf0Ow');
+  assert.equal(video.isLive, false);
+  assert.equal(video.isUnlisted, false);
+  assert.equal(video.isFamilySafe, true);
+  assert.equal(video.isEmbeddable, true);
+  assert.equal(video.playabilityStatus, 'OK');
+  assert.deepEqual(video.captionTracks.map(({ languageCode, name, kind }) => ({ languageCode, name, kind })), [
+    { languageCode: 'en', name: 'English (auto-generated)', kind: 'asr' },
+    { languageCode: 'nl', name: 'Dutch', kind: 'manual' },
+  ]);
+  assert.match(video.captionTracks[0].baseUrl, /^https:\/\/www\.youtube\.com\/api\/timedtext\?v=dQw4w9WgXcQ&/);
+});
+
+test('parseWatchPage parses a live stream', () => {
+  const video = parseWatchPage(fixture('live'));
+  assert.equal(video.videoId, 'jfKfPfyJRdk');
+  assert.equal(video.isLive, true);
+  assert.equal(video.isLiveContent, true);
+  assert.equal(video.lengthSeconds, 0);
+  assert.equal(video.viewCount, 31245);
+});
+
+test('parseWatchPage parses an unlisted video', () => {
+  const video = parseWatchPage(fixture('unlisted'));
+  assert.equal(video.videoId, 'Ab3_-9xYz01');
+  assert.equal(video.isUnlisted, true);
+  assert.equal(video.isEmbeddable, false);
+  assert.equal(video.category, 'People & Blogs');
+  assert.deepEqual(video.keywords, []);
+  assert.deepEqual(video.captionTracks, []);
+});
+
+test('parseWatchPage parses an age restricted video', () => {
+  const video = parseWatchPage(fixture('age-restricted'));
+  assert.equal(video.videoId, 'x9QwE7rTy3U');
+  assert.equal(video.title, 'Horror short film "The Door"');
+  assert.equal(video.isFamilySafe, false);
+  assert.equal(video.playabilityStatus, 'LOGIN_REQUIRED');
+  assert.equal(video.isEmbeddable, undefined);
+});
+
+test('parseWatchPage falls back to the video details without a microformat', () => {
+  const video = parseWatchPage(fixture('no-microformat'));
+  assert.equal(video.videoId, 'k2Lm9Nq8RsT');
+  assert.equal(video.title, 'Old upload');
+  assert.equal(video.description, 'Only video details here');
+  assert.equal(video.lengthSeconds, 95);
+  assert.equal(video.viewCount, 1200);
+  assert.equal(video.authorName, 'Lofi Station');
+  assert.equal(video.authorUrl, 'https://www.youtube.com/channel/UCSJ4gkVC6NrvII8umztf0Ow');
+  assert.equal(video.category, undefined);
+  assert.equal(video.uploadDate, undefined);
+  assert.equal(video.isFamilySafe, undefined);
+  assert.deepEqual(video.thumbnails.map(thumbnail => thumbnail.width), [1280, 480, 120]);
+});
+
+test('parseWatchPage parses the player response of a removed video', () => {
+  const video = parseWatchPage(fixture('removed'));
+  assert.equal(video.videoId, undefined);
+  assert.equal(video.title, undefined);
+  assert.equal(video.playabilityStatus, 'ERROR');
+});
+
+test('parseWatchPage returns undefined without a player response', () => {
+  assert.equal(parseWatchPage('<html><body>Our systems have detected unusual traffic</body></html>'), undefined);
+});
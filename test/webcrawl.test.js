@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import cheerio from 'cheerio';
+import { parseRobots, isAllowed, unreachableRobots, isXmlDocument, parseXmlLinks, pageLinks, inScope } from '../webcrawl.js';
+
+const robotsTxt = `
+# Everyone
+User-agent: Googlebot
+Disallow: /
+
+User-agent: Bingbot
+User-agent: *
+Disallow: /private/
+Allow: /private/public/
+Disallow: /*.pdf$
+Disallow: /search
+Allow: /search$
+Crawl-delay: 1.5
+
+Sitemap: https://example.com/sitemap.xml
+`;
+
+test('parseRobots reads the rules for every user agent, the crawl delay and the sitemaps', () => {
+  const robots = parseRobots(robotsTxt);
+  assert.deepEqual(robots.rules.map(({ allow, pattern }) => ({ allow, pattern })), [
+    { allow: false, pattern: '/private/' },
+    { allow: true, pattern: '/private/public/' },
+    { allow: false, pattern: '/*.pdf$' },
+    { allow: false, pattern: '/search' },
+    { allow: true, pattern: '/search$' },
+  ]);
+  assert.equal(robots.crawlDelay, 1500);
+  assert.deepEqual(robots.sitemaps, ['https://example.com/sitemap.xml']);
+});
+
+test('parseRobots ignores the rules of other user agents', () => {
+  const robots = parseRobots('User-agent: Googlebot\nDisallow: /\n\nUser-agent: *\nCrawl-delay: 2\n');
+  assert.deepEqual(robots.rules, []);
+  assert.equal(robots.crawlDelay, 2000);
+});
+
+test('isAllowed uses the longest matching rule', () => {
+  const robots = parseRobots(robotsTxt);
+  assert.equal(isAllowed(robots, 'https://example.com/'), true);
+  assert.equal(isAllowed(robots, 'https://example.com/private/notes'), false);
+  assert.equal(isAllowed(robots, 'https://example.com/private/public/notes'), true);
+  assert.equal(isAllowed(robots, 'https://example.com/files/report.pdf'), false);
+  assert.equal(isAllowed(robots, 'https://example.com/files/report.pdf?page=2'), true);
+  assert.equal(isAllowed(robots, 'https://example.com/search'), true);
+  assert.equal(isAllowed(robots, 'https://example.com/search?q=lofi'), false);
+});
+
+test('isAllowed lets allow win a tie between rules of the same length', () => {
+  const robots = parseRobots('User-agent: *\nDisallow: /page\nAllow: /page\n');
+  assert.equal(isAllowed(robots, 'https://example.com/page'), true);
+});
+
+test('isAllowed allows nothing on hosts with an unreachable robots.txt', () => {
+  assert.equal(isAllowed(unreachableRobots, 'https://example.com/'), false);
+});
+
+test('parseXmlLinks reads the pages of a sitemap', () => {
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url><loc>https://example.com/a</loc></url>
+  <url><loc> https://example.com/b </loc><lastmod>2021-11-01</lastmod></url>
+</urlset>`;
+  assert.equal(isXmlDocument(xml), true);
+  assert.deepEqual(parseXmlLinks(xml), { sitemaps: [], pages: ['https://example.com/a', 'https://example.com/b'] });
+});
+
+test('parseXmlLinks reads the sitemaps of a sitemap index', () => {
+  const xml = `<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <sitemap><loc>https://example.com/sitemap-posts.xml</loc></sitemap>
+</sitemapindex>`;
+  assert.deepEqual(parseXmlLinks(xml), { sitemaps: ['https://example.com/sitemap-posts.xml'], pages: [] });
+});
+
+test('parseXmlLinks reads the items of an RSS feed', () => {
+  const xml = `<rss version="2.0"><channel>
+  <title>Blog</title>
+  <item><title>One</title><link>https://example.com/one</link></item>
+  <item><title>Two</title><link>https://example.com/two</link></item>
+</channel></rss>`;
+  assert.equal(isXmlDocument(xml), true);
+  assert.deepEqual(parseXmlLinks(xml).pages, ['https://example.com/one', 'https://example.com/two']);
+});
+
+test('parseXmlLinks reads the alternate links of Atom entries', () => {
+  const xml = `<feed xmlns="http://www.w3.org/2005/Atom">
+  <entry>
+    <link rel="edit" href="https://example.com/edit/1"/>
+    <link rel="alternate" href="https://example.com/posts/1"/>
+  </entry>
+  <entry><link href="https://example.com/posts/2"/></entry>
+</feed>`;
+  assert.deepEqual(parseXmlLinks(xml).pages, ['https://example.com/posts/1', 'https://example.com/posts/2']);
+});
+
+test('isXmlDocument tells HTML pages from XML documents', () => {
+  assert.equal(isXmlDocument('<!DOCTYPE html><html><body></body></html>'), false);
+});
+
+test('pageLinks resolves the links that could be pages, without fragments and duplicates', () => {
+  const $ = cheerio.load(`
+    <a href="/posts/1#comments">Post</a>
+    <a href="/posts/1">Post again</a>
+    <a href="https://other.example.org/">Other</a>
+    <a href="/images/cover.jpg">Cover</a>
+    <a href="mailto:someone@example.com">Mail</a>
+  `);
+  assert.deepEqual(pageLinks($, 'https://example.com/blog/'), [
+    'https://example.com/posts/1',
+    'https://other.example.org/',
+  ]);
+});
+
+test('inScope keeps to the host, the domain or nothing', () => {
+  assert.equal(inScope('https://blog.example.com/post', 'www.example.com'), true);
+  assert.equal(inScope('https://example.com/post', 'www.example.com'), true);
+  assert.equal(inScope('https://notexample.com/post', 'example.com'), false);
+  assert.equal(inScope('https://blog.example.com/post', 'www.example.com', 'host'), false);
+  assert.equal(inScope('https://www.example.com/post', 'www.example.com', 'host'), true);
+  assert.equal(inScope('https://other.org/', 'example.com', 'any'), true);
+});
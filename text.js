@@ -0,0 +1,178 @@
+import snowball from 'snowball-stemmers';
+import * as stopwords from 'stopword';
+
+// Most search terms kept per field, so long descriptions don't bloat the search index
+const MAX_TITLE_TERMS = 64;
+const MAX_AUTHOR_TERMS = 16;
+const MAX_DESCRIPTION_TERMS = 128;
+
+// Languages we can detect, by ISO 639-1 code, with their stopwords and snowball stemmer if there is one
+const languages = {
+  en: { stopwords: stopwords.eng, stemmer: 'english' },
+  es: { stopwords: stopwords.spa, stemmer: 'spanish' },
+  pt: { stopwords: stopwords.por, stemmer: 'portuguese' },
+  fr: { stopwords: stopwords.fra, stemmer: 'french' },
+  de: { stopwords: stopwords.deu, stemmer: 'german' },
+  it: { stopwords: stopwords.ita, stemmer: 'italian' },
+  nl: { stopwords: stopwords.nld, stemmer: 'dutch' },
+  sv: { stopwords: stopwords.swe, stemmer: 'swedish' },
+  da: { stopwords: stopwords.dan, stemmer: 'danish' },
+  no: { stopwords: stopwords.nob, stemmer: 'norwegian' },
+  fi: { stopwords: stopwords.fin, stemmer: 'finnish' },
+  tr: { stopwords: stopwords.tur, stemmer: 'turkish' },
+  ro: { stopwords: stopwords.ron, stemmer: 'romanian' },
+  hu: { stopwords: stopwords.hun, stemmer: 'hungarian' },
+  cs: { stopwords: stopwords.ces, stemmer: 'czech' },
+  pl: { stopwords: stopwords.pol },
+  id: { stopwords: stopwords.ind },
+  vi: { stopwords: stopwords.vie },
+  ru: { stopwords: stopwords.rus, stemmer: 'russian' },
+  uk: { stopwords: stopwords.ukr },
+  ar: { stopwords: stopwords.ara, stemmer: 'arabic' },
+  he: { stopwords: stopwords.heb },
+  el: { stopwords: stopwords.ell },
+  hi: { stopwords: stopwords.hin },
+  th: { stopwords: stopwords.tha },
+  ja: { stopwords: stopwords.jpn },
+  ko: { stopwords: stopwords.kor },
+  zh: { stopwords: stopwords.zho },
+};
+
+// Languages told apart by their stopwords, the rest are told apart by their script
+const latinLanguages = ['en', 'es', 'pt', 'fr', 'de', 'it', 'nl', 'sv', 'da', 'no', 'fi', 'tr', 'ro', 'hu', 'cs', 'pl', 'id', 'vi'];
+const cyrillicLanguages = ['ru', 'uk'];
+const scripts = [
+  { regex: /[\p{Script=Hiragana}\p{Script=Katakana}]/gu, language: 'ja' },
+  { regex: /\p{Script=Hangul}/gu, language: 'ko' },
+  { regex: /\p{Script=Han}/gu, language: 'zh' },
+  { regex: /\p{Script=Thai}/gu, language: 'th' },
+  { regex: /\p{Script=Devanagari}/gu, language: 'hi' },
+  { regex: /\p{Script=Arabic}/gu, language: 'ar' },
+  { regex: /\p{Script=Hebrew}/gu, language: 'he' },
+  { regex: /\p{Script=Greek}/gu, language: 'el' },
+  { regex: /\p{Script=Cyrillic}/gu, candidates: cyrillicLanguages, fallback: 'ru' },
+  { regex: /\p{Script=Latin}/gu, candidates: latinLanguages },
+];
+
+const stopwordSets = {};
+const stemmers = {};
+Object.keys(languages).forEach(language => {
+  stopwordSets[language] = new Set(languages[language].stopwords);
+  if (languages[language].stemmer) {
+    stemmers[language] = snowball.newStemmer(languages[language].stemmer);
+  }
+});
+
+// Unicode aware word segmentation, which also splits languages written without spaces
+const segmenter = new Intl.Segmenter(undefined, { granularity: 'word' });
+
+// Splits text into lowercase words of letters, marks and numbers
+export function tokenize(str) {
+  const tokens = [];
+  for (const { segment, isWordLike } of segmenter.segment(str.normalize('NFKC').toLowerCase())) {
+    if (isWordLike) {
+      tokens.push(...(segment.match(/[\p{L}\p{M}\p{N}]+/gu) || []));
+    }
+  }
+  return tokens;
+}
+
+// The script most of the text's letters are written in. Japanese mixes kana with Han
+// characters, so any kana at all counts as Japanese
+function dominantScript(str) {
+  let dominant;
+  let dominantCount = 0;
+  scripts.forEach(script => {
+    const count = (str.match(script.regex) || []).length;
+    if (count > 0 && script.language === 'ja') {
+      dominantCount = Infinity;
+      dominant = script;
+    } else if (count > dominantCount) {
+      dominant = script;
+      dominantCount = count;
+    }
+  });
+  return dominant;
+}
+
+// Picks the candidate language with the most stopwords among the tokens, needs at least two
+function detectByStopwords(tokens, candidates) {
+  let best;
+  let bestCount = 1;
+  candidates.forEach(language => {
+    const count = tokens.filter(token => stopwordSets[language].has(token)).length;
+    if (count > bestCount) {
+      best = language;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+// Detects the language of a text from its script, then from its stopwords for scripts that
+// several languages share. Resolves undefined when there isn't enough text to tell
+export function detectLanguage(str) {
+  const script = dominantScript(str);
+  if (!script) {
+    return;
+  } else if (script.language) {
+    return script.language;
+  }
+  return detectByStopwords(tokenize(str), script.candidates) || script.fallback;
+}
+
+// The language we can analyze for a BCP 47 code such as pt-BR, undefined if there is none
+export function supportedLanguage(code) {
+  const language = (code || '').split('-')[0].toLowerCase();
+  return languages[language] ? language : undefined;
+}
+
+function stem(token, language) {
+  return stemmers[language] ? stemmers[language].stem(token) : token;
+}
+
+// Turns text into unique search terms: stopwords of the language are dropped and the
+// remaining words stemmed. Without a language words are kept as they are
+export function analyze(str, language, maxTerms = Infinity) {
+  const terms = new Set();
+  const tokens = tokenize(str || '');
+  for (let i = 0; i < tokens.length && terms.size < maxTerms; i++) {
+    if (!language || !stopwordSets[language].has(tokens[i])) {
+      terms.add(language ? stem(tokens[i], language) : tokens[i]);
+    }
+  }
+  return [...terms];
+}
+
+// Search fields of a video, weighted separately by the stores, with the language
+// detected from its title and description
+export function analyzeVideo({ title, authorName, description }) {
+  const language = detectLanguage(`${title || ''} ${description || ''}`);
+  return {
+    language,
+    fuzzyWords: {
+      title: analyze(title, language, MAX_TITLE_TERMS).join(' '),
+      author: analyze(authorName, undefined, MAX_AUTHOR_TERMS).join(' '),
+      description: analyze(description, language, MAX_DESCRIPTION_TERMS).join(' '),
+    },
+  };
+}
+
+// Search terms for a query. Queries are too short to detect a language reliably, so the words
+// are searched as they are and stemmed in every language their script could be in
+export function analyzeQuery(q) {
+  const tokens = tokenize(q);
+  const language = detectLanguage(q);
+  const script = dominantScript(q);
+  const candidates = script && script.candidates && !detectByStopwords(tokens, script.candidates) ?
+    script.candidates :
+    [language];
+
+  // Stopwords only count when the query is more than stopwords
+  const words = tokens.filter(token => !language || !stopwordSets[language].has(token));
+  const terms = new Set(words.length > 0 ? words : tokens);
+  [...terms].forEach(term => {
+    candidates.filter(candidate => !!candidate).forEach(candidate => terms.add(stem(term, candidate)));
+  });
+  return [...terms];
+}
@@ -0,0 +1,301 @@
+import jpeg from 'jpeg-js';
+import { URL } from 'url';
+import { httpRequest } from './http.js';
+
+// Largest Hamming distance between the pHashes of two thumbnails that still counts as the same video
+const THUMBNAIL_MAX_DISTANCE = parseInt(process.env.THUMBNAIL_MAX_DISTANCE || 6, 10);
+
+// How long a hashing claim is held before another instance may hash the video
+const THUMBNAIL_LEASE = 30 * 60 * 1000;
+
+// Bands sharing a value with more thumbnails than this are left out of duplicate reports,
+// they are the placeholder and blank frame thumbnails lots of unrelated videos have
+const MAX_BAND_SIZE = 500;
+
+// Querystring schemas for the similar videos and duplicate report routes
+export const similarQuerySchema = {
+  type: 'object',
+  required: ['video'],
+  properties: {
+    video: { type: 'string', pattern: '^[A-Za-z0-9_-]{11}$' },
+    limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+    maxDistance: { type: 'integer', minimum: 0, maximum: 32, default: THUMBNAIL_MAX_DISTANCE },
+  },
+};
+
+export const duplicatesQuerySchema = {
+  type: 'object',
+  properties: {
+    limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+    minSize: { type: 'integer', minimum: 2, default: 2 },
+    maxDistance: { type: 'integer', minimum: 0, maximum: 32, default: THUMBNAIL_MAX_DISTANCE },
+  },
+};
+
+function videoIdFromUri(videoUri) {
+  return new URL(videoUri).searchParams.get('v');
+}
+
+// The 320x180 thumbnail, unlike the larger default ones it has no black bars
+export function thumbnailUrl(videoId) {
+  return `https://i.ytimg.com/vi/${videoId}/mqdefault.jpg`;
+}
+
+// Luminance of every pixel of a decoded RGBA image
+function toGrayscale({ width, height, data }) {
+  const gray = new Float64Array(width * height);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return gray;
+}
+
+// Shrinks a grayscale image by averaging the pixels each target pixel covers
+function resize(gray, width, height, toWidth, toHeight) {
+  const resized = new Float64Array(toWidth * toHeight);
+  for (let y = 0; y < toHeight; y++) {
+    const top = Math.floor(y * height / toHeight);
+    const bottom = Math.max(top + 1, Math.floor((y + 1) * height / toHeight));
+    for (let x = 0; x < toWidth; x++) {
+      const left = Math.floor(x * width / toWidth);
+      const right = Math.max(left + 1, Math.floor((x + 1) * width / toWidth));
+      let sum = 0;
+      for (let sy = top; sy < bottom; sy++) {
+        for (let sx = left; sx < right; sx++) {
+          sum += gray[sy * width + sx];
+        }
+      }
+      resized[y * toWidth + x] = sum / ((bottom - top) * (right - left));
+    }
+  }
+  return resized;
+}
+
+function bitsToHex(bits) {
+  let hex = '';
+  for (let i = 0; i < bits.length; i += 4) {
+    hex += (bits[i] * 8 + bits[i + 1] * 4 + bits[i + 2] * 2 + bits[i + 3]).toString(16);
+  }
+  return hex;
+}
+
+// Difference hash: whether each pixel of a 9x8 thumbnail is brighter than the one to its right
+export function dHash(gray, width, height) {
+  const small = resize(gray, width, height, 9, 8);
+  const bits = [];
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      bits.push(small[y * 9 + x] > small[y * 9 + x + 1] ? 1 : 0);
+    }
+  }
+  return bitsToHex(bits);
+}
+
+// Perceptual hash: whether each of the 8x8 lowest frequencies of a 32x32 thumbnail's DCT is
+// above their median. The DC term is left out of the median, it is just the overall brightness
+export function pHash(gray, width, height) {
+  const size = 32;
+  const small = resize(gray, width, height, size, size);
+  const coefficients = [];
+  for (let v = 0; v < 8; v++) {
+    for (let u = 0; u < 8; u++) {
+      let sum = 0;
+      for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+          sum += small[y * size + x] *
+            Math.cos((2 * x + 1) * u * Math.PI / (2 * size)) *
+            Math.cos((2 * y + 1) * v * Math.PI / (2 * size));
+        }
+      }
+      coefficients.push(sum);
+    }
+  }
+
+  const sorted = coefficients.slice(1).sort((a, b) => a - b);
+  const median = (sorted[31] + sorted[32]) / 2;
+  return bitsToHex(coefficients.map(coefficient => coefficient > median ? 1 : 0));
+}
+
+// Number of bits that differ between two hex hashes of the same length
+export function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let xor = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (xor) {
+      distance += xor & 1;
+      xor >>= 1;
+    }
+  }
+  return distance;
+}
+
+// Splits both hashes into 16 bit bands. Thumbnails whose pHashes are at most 3 bits apart
+// share at least one pHash band, so candidates are found through an index on the bands
+export function hashBands({ pHash, dHash }) {
+  const bands = [];
+  for (let i = 0; i < 4; i++) {
+    bands.push(`p${i}:${pHash.substr(i * 4, 4)}`, `d${i}:${dHash.substr(i * 4, 4)}`);
+  }
+  return bands;
+}
+
+// Hashes a JPEG thumbnail
+export function hashThumbnail(jpegData) {
+  const image = jpeg.decode(jpegData, { useTArray: true, formatAsRGBA: true });
+  const gray = toGrayscale(image);
+  return {
+    pHash: pHash(gray, image.width, image.height),
+    dHash: dHash(gray, image.width, image.height),
+  };
+}
+
+// Downloads and hashes a video's thumbnail, resolves undefined if the video has none
+export async function fetchThumbnailHashes(videoId) {
+  try {
+    const { data } = await httpRequest({
+      url: thumbnailUrl(videoId),
+      responseType: 'arraybuffer',
+      timeout: 10000,
+    });
+    return hashThumbnail(Buffer.from(data));
+  } catch (e) {
+    if (e.response && e.response.status === 404) {
+      return;
+    }
+    throw e;
+  }
+}
+
+export async function ensureThumbnailIndices(thumbnailsCollection, videosCollection) {
+  await thumbnailsCollection.createIndex({ uri: 1 }, { unique: true });
+  await thumbnailsCollection.createIndex({ videoId: 1 });
+  await thumbnailsCollection.createIndex({ bands: 1 });
+  await videosCollection.createIndex({ thumbnailHashedAt: 1, thumbnailLeaseUntil: 1 });
+}
+
+// Claims up to limit indexed videos whose thumbnail hasn't been hashed yet so other cluster
+// instances skip them
+export async function claimUnhashedVideos(videosCollection, limit) {
+  const claimed = [];
+  for (let i = 0; i < limit; i++) {
+    const now = new Date();
+    const { value } = await videosCollection.findOneAndUpdate({
+      thumbnailHashedAt: null,
+      title: { $nin: [null, ''] },
+      $or: [
+        { thumbnailLeaseUntil: null },
+        { thumbnailLeaseUntil: { $lte: now } },
+      ],
+    }, {
+      $set: { thumbnailLeaseUntil: new Date(now.getTime() + THUMBNAIL_LEASE) },
+    }, { projection: { uri: 1 } });
+    if (!value) {
+      break;
+    }
+    claimed.push(value);
+  }
+  return claimed;
+}
+
+// Stores a video's thumbnail hashes and marks it hashed, videos without a thumbnail are only marked
+export async function storeThumbnailHashes(thumbnailsCollection, videosCollection, videoUri, hashes) {
+  const now = new Date();
+  if (hashes) {
+    await thumbnailsCollection.updateOne({ uri: videoUri }, {
+      $set: {
+        videoId: videoIdFromUri(videoUri),
+        pHash: hashes.pHash,
+        dHash: hashes.dHash,
+        bands: hashBands(hashes),
+        hashedAt: now,
+      },
+    }, { upsert: true });
+  }
+  await videosCollection.updateOne({ uri: videoUri }, {
+    $set: { thumbnailHashedAt: now, updatedAt: now },
+    $unset: { thumbnailLeaseUntil: '' },
+  });
+}
+
+// Videos whose thumbnails look like the given video's, closest first. Resolves undefined when
+// the video's thumbnail hasn't been hashed
+export async function findSimilar(thumbnailsCollection, videoId, { limit, maxDistance }) {
+  const thumbnail = await thumbnailsCollection.findOne({ videoId });
+  if (!thumbnail) {
+    return;
+  }
+
+  const candidates = await thumbnailsCollection.find({
+    bands: { $in: thumbnail.bands },
+    videoId: { $ne: videoId },
+  }).project({ _id: 0, uri: 1, videoId: 1, pHash: 1, dHash: 1 }).toArray();
+  const similar = candidates
+    .map(({ uri, videoId: candidateId, pHash: candidatePHash, dHash: candidateDHash }) => ({
+      uri,
+      videoId: candidateId,
+      pHashDistance: hammingDistance(thumbnail.pHash, candidatePHash),
+      dHashDistance: hammingDistance(thumbnail.dHash, candidateDHash),
+    }))
+    .filter(candidate => candidate.pHashDistance <= maxDistance)
+    .sort((a, b) => a.pHashDistance - b.pHashDistance || a.dHashDistance - b.dHashDistance)
+    .slice(0, limit);
+
+  return {
+    videoId,
+    pHash: thumbnail.pHash,
+    dHash: thumbnail.dHash,
+    similar,
+  };
+}
+
+// Groups thumbnails into clusters of likely reuploads, largest first. Thumbnails sharing a band
+// are compared and the ones close enough are joined, so clusters can chain through their members
+export async function findDuplicateClusters(thumbnailsCollection, { limit, minSize, maxDistance }) {
+  const buckets = thumbnailsCollection.aggregate([
+    { $unwind: '$bands' },
+    { $group: { _id: '$bands', members: { $push: { uri: '$uri', pHash: '$pHash' } }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1, $lte: MAX_BAND_SIZE } } },
+  ], { allowDiskUse: true });
+
+  // Union find over video uris
+  const parents = new Map();
+  const find = uri => {
+    while (parents.get(uri) !== uri) {
+      parents.set(uri, parents.get(parents.get(uri)));
+      uri = parents.get(uri);
+    }
+    return uri;
+  };
+
+  for await (const { members } of buckets) {
+    members.forEach(({ uri }) => {
+      if (!parents.has(uri)) {
+        parents.set(uri, uri);
+      }
+    });
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        if (hammingDistance(members[i].pHash, members[j].pHash) <= maxDistance) {
+          parents.set(find(members[i].uri), find(members[j].uri));
+        }
+      }
+    }
+  }
+
+  const clusters = new Map();
+  parents.forEach((parent, uri) => {
+    const root = find(uri);
+    if (!clusters.has(root)) {
+      clusters.set(root, []);
+    }
+    clusters.get(root).push(uri);
+  });
+
+  const duplicates = [...clusters.values()]
+    .filter(uris => uris.length >= minSize)
+    .sort((a, b) => b.length - a.length);
+  return {
+    total: duplicates.length,
+    clusters: duplicates.slice(0, limit).map(uris => ({ size: uris.length, uris })),
+  };
+}
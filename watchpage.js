@@ -0,0 +1,142 @@
+// Assignments of the JSON blobs embedded in watch page HTML, newer markup first
+const playerResponseMarkers = [
+  'var ytInitialPlayerResponse = ',
+  'ytInitialPlayerResponse = ',
+  'window["ytInitialPlayerResponse"] = ',
+];
+const initialDataMarkers = [
+  'var ytInitialData = ',
+  'ytInitialData = ',
+  'window["ytInitialData"] = ',
+];
+
+// Returns the JSON object literal starting at index start by matching braces outside
+// of strings, so we don't depend on whatever code or keys come after it
+export function extractJSONObject(str, start) {
+  if (str[start] !== '{') {
+    return;
+  }
+
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  for (let i = start; i < str.length; i++) {
+    const c = str[i];
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (c === '\\') {
+        escaped = true;
+      } else if (c === '"') {
+        inString = false;
+      }
+    } else if (c === '"') {
+      inString = true;
+    } else if (c === '{') {
+      depth++;
+    } else if (c === '}') {
+      depth--;
+      if (depth === 0) {
+        return str.substring(start, i + 1);
+      }
+    }
+  }
+}
+
+// Finds the first of the markers in the HTML and parses the object assigned after it
+export function extractAssignedJSON(html, markers) {
+  for (let i = 0; i < markers.length; i++) {
+    const markerIndex = html.indexOf(markers[i]);
+    if (markerIndex !== -1) {
+      const jsonStr = extractJSONObject(html, markerIndex + markers[i].length);
+      if (jsonStr) {
+        try {
+          return JSON.parse(jsonStr);
+        } catch (e) {
+          // Try the next marker
+        }
+      }
+    }
+  }
+}
+
+export function extractPlayerResponse(html) {
+  return extractAssignedJSON(html, playerResponseMarkers);
+}
+
+export function extractInitialData(html) {
+  return extractAssignedJSON(html, initialDataMarkers);
+}
+
+function parseIntOrUndefined(value) {
+  const parsed = parseInt(value, 10);
+  return isNaN(parsed) ? undefined : parsed;
+}
+
+// Flattens YouTube's text objects, which are either simpleText or a list of runs
+export function textOf(text) {
+  if (!text || typeof text === 'string') {
+    return text;
+  }
+  if (text.simpleText !== undefined) {
+    return text.simpleText;
+  }
+  if (text.runs) {
+    return text.runs.map(run => run.text).join('');
+  }
+}
+
+// Turns a player response into a video record with these fields, any of which may be
+// undefined when YouTube leaves them out: videoId, title, description, lengthSeconds,
+// viewCount, category, uploadDate, publishDate, keywords, thumbnails ({ url, width, height }
+// largest first), authorName, channelId, authorUrl, isLive, isLiveContent, isUnlisted,
+// isPrivate, isFamilySafe, isEmbeddable, availableCountries, playabilityStatus and
+// captionTracks ({ languageCode, name, kind, baseUrl }, kind is asr or manual)
+export function parsePlayerResponse(playerResponse) {
+  const details = playerResponse.videoDetails || {};
+  const microformat = (playerResponse.microformat && playerResponse.microformat.playerMicroformatRenderer) || {};
+  const liveDetails = microformat.liveBroadcastDetails;
+  const thumbnails = ((microformat.thumbnail || details.thumbnail || {}).thumbnails || [])
+    .slice()
+    .sort((a, b) => (b.width || 0) - (a.width || 0));
+  const channelId = details.channelId || microformat.externalChannelId;
+  const captions = playerResponse.captions && playerResponse.captions.playerCaptionsTracklistRenderer;
+
+  return {
+    videoId: details.videoId,
+    title: textOf(microformat.title) || details.title,
+    description: textOf(microformat.description) || details.shortDescription,
+    lengthSeconds: parseIntOrUndefined(microformat.lengthSeconds || details.lengthSeconds),
+    viewCount: parseIntOrUndefined(microformat.viewCount || details.viewCount),
+    category: microformat.category,
+    uploadDate: microformat.uploadDate,
+    publishDate: microformat.publishDate,
+    keywords: details.keywords || [],
+    thumbnails,
+    authorName: microformat.ownerChannelName || details.author,
+    channelId,
+    authorUrl: channelId ? `https://www.youtube.com/channel/${channelId}` : microformat.ownerProfileUrl,
+    isLive: !!(details.isLive || (liveDetails && liveDetails.isLiveNow)),
+    isLiveContent: !!details.isLiveContent,
+    isUnlisted: !!microformat.isUnlisted,
+    isPrivate: !!details.isPrivate,
+    isFamilySafe: microformat.isFamilySafe,
+    isEmbeddable: playerResponse.playabilityStatus && playerResponse.playabilityStatus.playableInEmbed,
+    availableCountries: microformat.availableCountries || [],
+    playabilityStatus: playerResponse.playabilityStatus && playerResponse.playabilityStatus.status,
+    captionTracks: ((captions && captions.captionTracks) || []).map(track => ({
+      languageCode: track.languageCode,
+      name: textOf(track.name),
+      kind: track.kind === 'asr' ? 'asr' : 'manual',
+      baseUrl: track.baseUrl,
+    })),
+  };
+}
+
+// Parses a watch page into a video record, returns undefined if the page has no player response
+export function parseWatchPage(html) {
+  const playerResponse = extractPlayerResponse(html);
+  if (playerResponse) {
+    return parsePlayerResponse(playerResponse);
+  }
+}
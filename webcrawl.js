@@ -0,0 +1,154 @@
+import xmlParser from 'fast-xml-parser';
+import { URL } from 'url';
+import { resolveUrl } from './search-engines.js';
+
+// Links to files that aren't web pages, they are never fetched
+const skippedExtensions = /\.(jpe?g|png|gif|webp|svg|ico|css|js|json|pdf|zip|gz|mp3|mp4|webm|avi|mov|woff2?|ttf|exe|dmg)$/i;
+
+// Root elements of sitemaps, sitemap indexes, RSS and Atom feeds
+const xmlRootRegex = /^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<(urlset|sitemapindex|rss|feed|rdf:RDF)[\s>]/;
+
+// Converts a robots.txt path pattern to a regex, * matches anything and a trailing $ the end of the url
+function ruleRegex(pattern) {
+  const anchored = pattern.endsWith('$');
+  const escaped = (anchored ? pattern.slice(0, -1) : pattern)
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}${anchored ? '$' : ''}`);
+}
+
+// Parses the rules robots.txt gives every user agent (*), the crawl delay in ms and the sitemaps
+// it lists. The crawler has no user agent of its own, it sends the identities' browser ones
+export function parseRobots(text) {
+  const robots = { rules: [], crawlDelay: 0, sitemaps: [] };
+  let agents = [];
+  let inRules = false;
+  String(text).split(/\r?\n/).forEach(line => {
+    const match = line.replace(/#.*$/, '').match(/^\s*([A-Za-z-]+)\s*:\s*(.*?)\s*$/);
+    if (!match) {
+      return;
+    }
+
+    const field = match[1].toLowerCase();
+    const value = match[2];
+    if (field === 'sitemap') {
+      robots.sitemaps.push(value);
+      return;
+    }
+
+    // User agent lines in a row share the rules after them
+    if (field === 'user-agent') {
+      if (inRules) {
+        agents = [];
+        inRules = false;
+      }
+      agents.push(value.toLowerCase());
+      return;
+    }
+    inRules = true;
+    if (agents.indexOf('*') === -1) {
+      return;
+    }
+
+    if ((field === 'allow' || field === 'disallow') && value) {
+      robots.rules.push({ allow: field === 'allow', pattern: value, regex: ruleRegex(value) });
+    } else if (field === 'crawl-delay') {
+      robots.crawlDelay = (parseFloat(value) || 0) * 1000;
+    }
+  });
+  return robots;
+}
+
+// Robots rules of a host whose robots.txt couldn't be fetched, nothing is crawled until it can be
+export const unreachableRobots = {
+  rules: [{ allow: false, pattern: '/', regex: /^\// }],
+  crawlDelay: 0,
+  sitemaps: [],
+};
+
+// Whether robots rules allow a url. The longest matching rule wins, allow wins ties
+export function isAllowed(robots, url) {
+  const { pathname, search } = new URL(url);
+  const path = pathname + search;
+  let best;
+  robots.rules.forEach(rule => {
+    if (rule.regex.test(path) && (
+      !best ||
+      rule.pattern.length > best.pattern.length ||
+      (rule.pattern.length === best.pattern.length && rule.allow)
+    )) {
+      best = rule;
+    }
+  });
+  return !best || best.allow;
+}
+
+export function isXmlDocument(body) {
+  return xmlRootRegex.test(body);
+}
+
+// Urls a sitemap, sitemap index, RSS or Atom feed lists. Sitemap indexes list more sitemaps
+export function parseXmlLinks(xml) {
+  const doc = xmlParser.parse(xml, { ignoreAttributes: false, attributeNamePrefix: '' });
+  const list = value => value === undefined ? [] : [].concat(value);
+  const text = value => value && typeof value === 'object' ? value['#text'] : value;
+  const urls = values => values.map(text).filter(url => typeof url === 'string' && !!url).map(url => url.trim());
+
+  if (doc.sitemapindex) {
+    return { sitemaps: urls(list(doc.sitemapindex.sitemap).map(sitemap => sitemap.loc)), pages: [] };
+  }
+  if (doc.urlset) {
+    return { sitemaps: [], pages: urls(list(doc.urlset.url).map(entry => entry.loc)) };
+  }
+  if (doc.rss && doc.rss.channel) {
+    return { sitemaps: [], pages: urls(list(doc.rss.channel.item).map(item => item.link)) };
+  }
+  if (doc['rdf:RDF']) {
+    return { sitemaps: [], pages: urls(list(doc['rdf:RDF'].item).map(item => item.link)) };
+  }
+  if (doc.feed) {
+    return {
+      sitemaps: [],
+      pages: urls(list(doc.feed.entry).map(entry => {
+        const links = list(entry.link);
+        const link = links.find(candidate => !candidate.rel || candidate.rel === 'alternate') || links[0];
+        return link && (link.href || link);
+      })),
+    };
+  }
+  return { sitemaps: [], pages: [] };
+}
+
+// Strips the fragment, urls that only differ in it are the same page
+export function normalizeUrl(url) {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  return parsed.toString();
+}
+
+// Urls of the links on a page that could be web pages
+export function pageLinks($, pageUrl) {
+  const links = [];
+  $('a[href]').each((index, element) => {
+    const url = resolveUrl(element.attribs.href, pageUrl);
+    if (url && /^https?:/.test(url) && !skippedExtensions.test(new URL(url).pathname)) {
+      links.push(normalizeUrl(url));
+    }
+  });
+  return links.filter((url, index, self) => self.indexOf(url) === index);
+}
+
+// Whether a url is in the scope of the host a crawl started from: the same host (host), the same
+// domain and its subdomains (domain) or anywhere (any)
+export function inScope(url, scopeHost, scope = 'domain') {
+  const { host, hostname } = new URL(url);
+  if (scope === 'any') {
+    return true;
+  }
+  if (scope === 'host') {
+    return host === scopeHost;
+  }
+
+  const domain = new URL(`http://${scopeHost}`).hostname.replace(/^www\./, '');
+  return hostname === domain || hostname.endsWith(`.${domain}`);
+}